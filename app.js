@@ -6,6 +6,10 @@ const { App } = require('@slack/bolt');
 const deepl = require('deepl-node');
 const redis = require('redis');
 const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Initialize Slack
 const app = new App({
@@ -14,10 +18,286 @@ const app = new App({
   socketMode: true,
   appToken: process.env.SLACK_APP_TOKEN,
   // No port needed for Socket Mode - it connects outbound to Slack
+  // Token verification waits for app.init() at startup, so tests can load this module offline
+  deferInitialization: true,
 });
 
-// Initialize DeepL (REQUIRED)
-const translator = new deepl.Translator(process.env.DEEPL_API_KEY);
+// Translation providers
+// Every provider exposes the same interface so the rest of the app never talks to DeepL directly:
+//   name / label                                   - id for logs, display name for users
+//   translate(texts, sourceLang, targetCode, opts) - same shape as deepl.Translator.translateText
+//   detect(text)                                   - lowercase source language code
+//   getUsage()                                     - { character: { count, limit } }
+//   getSupportedLanguages()                        - { source: [...], target: [...] }
+//   createGlossary(name, sourceLang, targetLang, entries) - glossary id for translate({ glossary })
+//   deleteGlossary(glossaryId)
+//   translateDocument(buffer, filename, sourceLang, targetCode, opts) - { buffer, billedCharacters }
+
+// DeepL bills at least this many characters per translated document
+const DOCUMENT_MIN_BILLED_CHARACTERS = 50000;
+
+// DeepL provider (default, requires DEEPL_API_KEY; DEEPL_SERVER_URL points at a proxy or local stand-in)
+// Retries are handled by callProvider() below, so the client's own retry loop is disabled
+function createDeepLProvider() {
+  const translator = new deepl.Translator(process.env.DEEPL_API_KEY, {
+    maxRetries: 0,
+    ...(process.env.DEEPL_SERVER_URL ? { serverUrl: process.env.DEEPL_SERVER_URL } : {})
+  });
+
+  return {
+    name: 'deepl',
+    label: 'DeepL',
+
+    async translate(texts, sourceLang, targetCode, options = {}) {
+      return translator.translateText(texts, sourceLang, targetCode, options);
+    },
+
+    async detect(text) {
+      const result = await translator.translateText(text, null, 'EN-US');
+      return result.detectedSourceLang.toLowerCase();
+    },
+
+    async getUsage() {
+      return translator.getUsage();
+    },
+
+    async getSupportedLanguages() {
+      const [source, target] = await Promise.all([
+        translator.getSourceLanguages(),
+        translator.getTargetLanguages()
+      ]);
+      return { source, target };
+    },
+
+    async createGlossary(name, sourceLang, targetLang, entries) {
+      const glossary = await translator.createGlossary(
+        name,
+        sourceLang,
+        targetLang,
+        new deepl.GlossaryEntries({ entries })
+      );
+      return glossary.glossaryId;
+    },
+
+    async deleteGlossary(glossaryId) {
+      await translator.deleteGlossary(glossaryId);
+    },
+
+    // deepl-node writes the translated document to a file, so it goes through a temp file
+    async translateDocument(buffer, filename, sourceLang, targetCode, options = {}) {
+      const outputPath = path.join(os.tmpdir(), `slacklator-${crypto.randomUUID()}-${path.basename(filename)}`);
+      try {
+        const status = await translator.translateDocument(buffer, outputPath, sourceLang, targetCode, { ...options, filename });
+        return { buffer: await fs.promises.readFile(outputPath), billedCharacters: status.billedCharacters };
+      } finally {
+        await fs.promises.unlink(outputPath).catch(() => {});
+      }
+    }
+  };
+}
+
+// Offline mock provider - dictionary lookups from the common phrases, echo for everything else.
+// Used for staging workspaces and local runs without network or a DeepL key.
+// MOCK_CHARACTER_LIMIT sets its quota, raising deepl.QuotaExceededError like DeepL once used up.
+function createMockProvider() {
+  let charactersUsed = 0;
+  const characterLimit = parseInt(process.env.MOCK_CHARACTER_LIMIT) || 500000;
+  const glossaries = new Map();
+
+  function translateOne(text, sourceLang, targetCode, options) {
+    if (charactersUsed + text.length > characterLimit) {
+      throw new deepl.QuotaExceededError('Quota for this billing period has been exceeded');
+    }
+    charactersUsed += text.length;
+    const targetLang = targetCode.toLowerCase();
+    const detectedSourceLang = sourceLang || detectLanguageLocal(text).lang || 'en';
+    const commonTranslation = getCommonPhraseTranslation(text, targetLang, sourceLang);
+
+    if (commonTranslation) {
+      return { text: commonTranslation, detectedSourceLang };
+    }
+
+    // Apply glossary terms so glossary behaviour can be checked offline
+    // With tagHandling 'xml' only the text between tags is touched, like DeepL
+    let output = text;
+    const glossaryEntries = options.glossary ? glossaries.get(options.glossary) : null;
+    if (glossaryEntries) {
+      const parts = options.tagHandling === 'xml' ? output.split(/(<[^>]+>)/) : [output];
+      for (const [source, target] of Object.entries(glossaryEntries)) {
+        const escaped = source.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        for (let i = 0; i < parts.length; i += 2) {
+          parts[i] = parts[i].replace(new RegExp(escaped, 'gi'), target);
+        }
+      }
+      output = parts.join('');
+    }
+
+    return { text: `[${targetCode}] ${output}`, detectedSourceLang };
+  }
+
+  return {
+    name: 'mock',
+    label: 'Mock (offline)',
+
+    async translate(texts, sourceLang, targetCode, options = {}) {
+      return Array.isArray(texts)
+        ? texts.map(text => translateOne(text, sourceLang, targetCode, options))
+        : translateOne(texts, sourceLang, targetCode, options);
+    },
+
+    async detect(text) {
+      return detectLanguageLocal(text).lang || 'en';
+    },
+
+    async getUsage() {
+      return { character: { count: charactersUsed, limit: characterLimit } };
+    },
+
+    // Same shape as DeepL's lists: base source languages, targets by their DeepL code
+    async getSupportedLanguages() {
+      const source = Object.keys(DEEPL_LANGUAGES).map(code => ({ code, name: LANGUAGE_NAMES[code] }));
+      const target = new Map();
+      for (const { deeplCode, name, supportsFormality } of buildFallbackTargetLanguages().values()) {
+        target.set(deeplCode, { code: deeplCode, name, supportsFormality });
+      }
+      return { source, target: [...target.values()] };
+    },
+
+    async createGlossary(name, sourceLang, targetLang, entries) {
+      const glossaryId = `mock-glossary-${glossaries.size + 1}-${Date.now()}`;
+      glossaries.set(glossaryId, { ...entries });
+      return glossaryId;
+    },
+
+    async deleteGlossary(glossaryId) {
+      glossaries.delete(glossaryId);
+    },
+
+    // .txt documents are translated line by line; other formats can't be parsed offline and come
+    // back unchanged, billed like DeepL's per-document minimum
+    async translateDocument(buffer, filename, sourceLang, targetCode, options = {}) {
+      if (path.extname(filename).toLowerCase() !== '.txt') {
+        if (charactersUsed + DOCUMENT_MIN_BILLED_CHARACTERS > characterLimit) {
+          throw new deepl.QuotaExceededError('Quota for this billing period has been exceeded');
+        }
+        charactersUsed += DOCUMENT_MIN_BILLED_CHARACTERS;
+        return { buffer, billedCharacters: DOCUMENT_MIN_BILLED_CHARACTERS };
+      }
+      
+      const text = buffer.toString('utf8');
+      const translated = text.split('\n')
+        .map(line => (line.trim() ? translateOne(line, sourceLang, targetCode, options).text : line))
+        .join('\n');
+      return { buffer: Buffer.from(translated, 'utf8'), billedCharacters: text.length };
+    }
+  };
+}
+
+// Pick the provider from TRANSLATION_PROVIDER (deepl | mock)
+function createTranslationProvider(name) {
+  switch ((name || 'deepl').toLowerCase()) {
+    case 'deepl':
+      return createDeepLProvider();
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown TRANSLATION_PROVIDER '${name}'. Expected: deepl or mock`);
+  }
+}
+
+// Provider resilience - retry with backoff on 429/5xx/connection errors, and a circuit breaker
+// that stops calling the provider while it is down (closed -> open -> half-open -> closed)
+const PROVIDER_MAX_RETRIES = parseInt(process.env.PROVIDER_MAX_RETRIES) || 3;
+const PROVIDER_RETRY_BASE_MS = parseInt(process.env.PROVIDER_RETRY_BASE_MS) || 500;
+const CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN_SECONDS = parseInt(process.env.CIRCUIT_COOLDOWN_SECONDS) || 60;
+const circuitBreaker = { state: 'closed', failures: 0, openedAt: 0 };
+
+// Thrown when the provider is down (retries exhausted or circuit open)
+class ProviderUnavailableError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+  }
+}
+
+// 429, 5xx and connection failures are worth retrying; auth, quota and bad requests are not
+function isRetryableProviderError(error) {
+  if (error instanceof deepl.TooManyRequestsError || error instanceof deepl.ConnectionError) {
+    return true;
+  }
+  const status = Number(error.status || error.statusCode || (error.message.match(/status code: (\d{3})/) || [])[1]);
+  if (status === 429 || status >= 500) {
+    return true;
+  }
+  return error instanceof deepl.DeepLError && error.message.startsWith('Service unavailable');
+}
+
+// True while the circuit is open and still cooling down
+function isCircuitOpen() {
+  return circuitBreaker.state === 'open' && Date.now() - circuitBreaker.openedAt < CIRCUIT_COOLDOWN_SECONDS * 1000;
+}
+
+// Run one provider call with retries, feeding the circuit breaker
+async function callProvider(label, operation, fn) {
+  if (isCircuitOpen()) {
+    throw new ProviderUnavailableError(`${label} is temporarily unavailable - try again in a minute`);
+  }
+  if (circuitBreaker.state === 'open') {
+    circuitBreaker.state = 'half-open';
+    console.log(`🔌 ${label} circuit half-open, trying ${operation}`);
+  }
+  
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const result = await fn();
+      if (circuitBreaker.state !== 'closed') {
+        console.log(`✅ ${label} recovered, circuit closed`);
+        processRetryQueue().catch(error => console.error('❌ Retry queue error:', error.message));
+      }
+      circuitBreaker.state = 'closed';
+      circuitBreaker.failures = 0;
+      return result;
+    } catch (error) {
+      if (!isRetryableProviderError(error)) {
+        throw error;
+      }
+      
+      // A half-open trial gets no retries
+      if (circuitBreaker.state === 'half-open' || attempt >= PROVIDER_MAX_RETRIES) {
+        circuitBreaker.failures++;
+        if (circuitBreaker.state === 'half-open' || circuitBreaker.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+          if (circuitBreaker.state === 'closed') {
+            notifyAdmins(`🔌 ${label} is failing (${error.message}). Incoming translations are queued and replayed once it recovers.`);
+          }
+          circuitBreaker.state = 'open';
+          circuitBreaker.openedAt = Date.now();
+          console.log(`🔌 ${label} circuit open for ${CIRCUIT_COOLDOWN_SECONDS}s after: ${error.message}`);
+        }
+        throw new ProviderUnavailableError(`${label} is temporarily unavailable - try again in a minute`);
+      }
+      
+      const delay = Math.round(PROVIDER_RETRY_BASE_MS * 2 ** attempt * (0.5 + Math.random()));
+      console.log(`🔁 ${label} ${operation} failed (${error.message}), retry ${attempt + 1}/${PROVIDER_MAX_RETRIES} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Wrap every provider method in callProvider()
+function withResilience(provider) {
+  const resilient = { ...provider };
+  for (const [operation, method] of Object.entries(provider)) {
+    if (typeof method === 'function') {
+      resilient[operation] = (...args) => callProvider(provider.label, operation, () => method.apply(provider, args));
+    }
+  }
+  return resilient;
+}
+
+// Initialize translation provider (DeepL unless TRANSLATION_PROVIDER says otherwise)
+const translationProvider = withResilience(createTranslationProvider(process.env.TRANSLATION_PROVIDER));
+console.log(`🌍 Translation provider: ${translationProvider.label}`);
 
 // Initialize Redis (OPTIONAL)
 let redisClient = null;
@@ -39,6 +319,9 @@ if (process.env.REDIS_URL) {
     redisClient.on('connect', () => {
       console.log('✅ Redis connected successfully');
       redisAvailable = true;
+      
+      // Team phrases are looked up synchronously, so keep them in memory
+      loadCustomPhrases();
     });
     
     redisClient.on('error', (err) => {
@@ -62,841 +345,4774 @@ if (process.env.REDIS_URL) {
   console.log('⚠️  No REDIS_URL provided - running without Redis (preferences won\'t persist)');
 }
 
-// In-memory cache for translations
+// Translation cache settings (memory tier first, Redis tier second)
+const CACHE_MEMORY_TTL = parseInt(process.env.CACHE_MEMORY_TTL, 10) || 3600; // 1 hour
+const CACHE_MEMORY_MAX_KEYS = parseInt(process.env.CACHE_MEMORY_MAX_KEYS, 10) || 10000;
+const CACHE_REDIS_TTL = parseInt(process.env.CACHE_REDIS_TTL, 10) || 604800; // 7 days
+const CACHE_REDIS_MAX_KEYS = parseInt(process.env.CACHE_REDIS_MAX_KEYS, 10) || 100000;
+const CACHE_TRIM_INTERVAL_MINUTES = parseFloat(process.env.CACHE_TRIM_INTERVAL_MINUTES) || 10;
+
+// In-memory cache for translations (tier 1)
 const translationCache = new NodeCache({ 
-  stdTTL: 3600, // 1 hour default
-  maxKeys: 10000 
+  stdTTL: CACHE_MEMORY_TTL,
+  maxKeys: CACHE_MEMORY_MAX_KEYS
 });
 
+// Hit/miss counters per cache tier (Redis only sees memory misses)
+const cacheStats = {
+  memory: { hits: 0, misses: 0 },
+  redis: { hits: 0, misses: 0 }
+};
+
 // Smart learning cache for frequently used translations
 const frequentTranslations = new Map();
 
-// Cost tracking
-let apiCallsToday = 0;
-let cacheHitsToday = 0;
-let commonPhrasesUsed = 0;
-
-// Track translation usage and extend cache for popular phrases
-function trackTranslationUsage(text, targetLang, translation) {
-  const key = `${text.toLowerCase()}:${targetLang}`;
-  const usage = frequentTranslations.get(key) || { count: 0, translation };
-  usage.count++;
-  usage.translation = translation;
-  frequentTranslations.set(key, usage);
-  
-  // If used frequently, cache for longer (24 hours instead of 1)
-  if (usage.count >= 3) {
-    const cacheKey = `${text.substring(0, 100)}:${targetLang}:auto`;
-    translationCache.set(cacheKey, translation, 86400); // 24 hours
-    console.log(`📚 Extended cache for popular phrase: "${text.substring(0, 30)}..." (used ${usage.count} times)`);
-  }
-}
-
-// User preferences cache
-const userPreferences = new Map();
-
-// Channel preferences cache  
-const channelPreferences = new Map();
-
-// Original message cache for /translate command
-const originalMessageCache = new NodeCache({
-  stdTTL: 604800, // 7 days
-  maxKeys: 5000
-});
-
-// DeepL language mapping
-const DEEPL_LANGUAGES = {
-  'bg': 'BG', 'cs': 'CS', 'da': 'DA', 'de': 'DE', 'el': 'EL',
-  'en': 'EN-US', 'es': 'ES', 'et': 'ET', 'fi': 'FI', 'fr': 'FR',
-  'hu': 'HU', 'id': 'ID', 'it': 'IT', 'ja': 'JA', 'ko': 'KO',
-  'lt': 'LT', 'lv': 'LV', 'nb': 'NB', 'nl': 'NL', 'pl': 'PL',
-  'pt': 'PT-PT', 'ro': 'RO', 'ru': 'RU', 'sk': 'SK', 'sl': 'SL',
-  'sv': 'SV', 'tr': 'TR', 'uk': 'UK', 'zh': 'ZH'
-};
+// Max parallel chat.postEphemeral calls per message
+const EPHEMERAL_CONCURRENCY = parseInt(process.env.EPHEMERAL_CONCURRENCY, 10) || 5;
 
-// Common phrases translation table (avoids API calls)
-const COMMON_PHRASES = {
-  // English
-  'hello': { en: 'hello', es: 'hola', de: 'hallo', fr: 'bonjour', it: 'ciao', pt: 'olá' },
-  'hi': { en: 'hi', es: 'hola', de: 'hallo', fr: 'salut', it: 'ciao', pt: 'oi' },
-  'bye': { en: 'bye', es: 'adiós', de: 'tschüss', fr: 'au revoir', it: 'ciao', pt: 'tchau' },
-  'thanks': { en: 'thanks', es: 'gracias', de: 'danke', fr: 'merci', it: 'grazie', pt: 'obrigado' },
-  'thank you': { en: 'thank you', es: 'gracias', de: 'danke', fr: 'merci', it: 'grazie', pt: 'obrigado' },
-  'yes': { en: 'yes', es: 'sí', de: 'ja', fr: 'oui', it: 'sì', pt: 'sim' },
-  'no': { en: 'no', es: 'no', de: 'nein', fr: 'non', it: 'no', pt: 'não' },
-  'ok': { en: 'ok', es: 'ok', de: 'ok', fr: 'ok', it: 'ok', pt: 'ok' },
-  'okay': { en: 'okay', es: 'vale', de: 'okay', fr: 'd\'accord', it: 'va bene', pt: 'tudo bem' },
-  'good morning': { en: 'good morning', es: 'buenos días', de: 'guten morgen', fr: 'bonjour', it: 'buongiorno', pt: 'bom dia' },
-  'good night': { en: 'good night', es: 'buenas noches', de: 'gute nacht', fr: 'bonne nuit', it: 'buonanotte', pt: 'boa noite' },
-  'please': { en: 'please', es: 'por favor', de: 'bitte', fr: 's\'il vous plaît', it: 'per favore', pt: 'por favor' },
-  'sorry': { en: 'sorry', es: 'lo siento', de: 'entschuldigung', fr: 'désolé', it: 'scusa', pt: 'desculpe' },
-  'excuse me': { en: 'excuse me', es: 'disculpe', de: 'entschuldigung', fr: 'excusez-moi', it: 'scusi', pt: 'com licença' },
-  
-  // Spanish
-  'hola': { en: 'hello', es: 'hola', de: 'hallo', fr: 'bonjour', it: 'ciao', pt: 'olá' },
-  'gracias': { en: 'thanks', es: 'gracias', de: 'danke', fr: 'merci', it: 'grazie', pt: 'obrigado' },
-  'sí': { en: 'yes', es: 'sí', de: 'ja', fr: 'oui', it: 'sì', pt: 'sim' },
-  'adiós': { en: 'bye', es: 'adiós', de: 'tschüss', fr: 'au revoir', it: 'ciao', pt: 'tchau' },
-  
-  // German
-  'hallo': { en: 'hello', es: 'hola', de: 'hallo', fr: 'bonjour', it: 'ciao', pt: 'olá' },
-  'danke': { en: 'thanks', es: 'gracias', de: 'danke', fr: 'merci', it: 'grazie', pt: 'obrigado' },
-  'ja': { en: 'yes', es: 'sí', de: 'ja', fr: 'oui', it: 'sì', pt: 'sim' },
-  'nein': { en: 'no', es: 'no', de: 'nein', fr: 'non', it: 'no', pt: 'não' },
-  'tschüss': { en: 'bye', es: 'adiós', de: 'tschüss', fr: 'au revoir', it: 'ciao', pt: 'tchau' },
-  
-  // French
-  'bonjour': { en: 'hello', es: 'hola', de: 'hallo', fr: 'bonjour', it: 'ciao', pt: 'olá' },
-  'merci': { en: 'thanks', es: 'gracias', de: 'danke', fr: 'merci', it: 'grazie', pt: 'obrigado' },
-  'oui': { en: 'yes', es: 'sí', de: 'ja', fr: 'oui', it: 'sì', pt: 'sim' },
-  'non': { en: 'no', es: 'no', de: 'nein', fr: 'non', it: 'no', pt: 'não' },
-  'au revoir': { en: 'bye', es: 'adiós', de: 'tschüss', fr: 'au revoir', it: 'ciao', pt: 'tchau' },
-  
-  // Italian
-  'ciao': { en: 'hi', es: 'hola', de: 'hallo', fr: 'salut', it: 'ciao', pt: 'oi' },
-  'grazie': { en: 'thanks', es: 'gracias', de: 'danke', fr: 'merci', it: 'grazie', pt: 'obrigado' },
-  'sì': { en: 'yes', es: 'sí', de: 'ja', fr: 'oui', it: 'sì', pt: 'sim' },
-  'buongiorno': { en: 'good morning', es: 'buenos días', de: 'guten morgen', fr: 'bonjour', it: 'buongiorno', pt: 'bom dia' }
-};
+// Cost tracking - daily counters (UTC day -> { field: count }), mirrored to Redis `usage:<day>` hashes
+// Fields: api_calls, cache_hits, common_phrases, characters, plus channel:<id>:<metric>,
+// user:<id>:<metric> and lang:<code>:<metric> breakdowns
+// Billed characters are also summed per month in `usage:<month>` for budgets
+const usageByDay = new Map();
+const charactersByMonth = new Map();
+const USAGE_RETENTION_DAYS = 400;
+const USAGE_COST_PER_MILLION_CHARS = parseFloat(process.env.USAGE_COST_PER_MILLION_CHARS) || 20;
+const USAGE_CURRENCY = process.env.USAGE_CURRENCY || 'EUR';
 
-// Smart language detection with cost optimization
-const LANGUAGE_PATTERNS = {
-  en: /\b(the|and|is|are|was|were|have|has|will|would|could|should|that|this|with|from|they|there|where|what|when|how)\b/i,
-  es: /\b(el|la|los|las|es|son|y|que|de|en|un|una|para|por|con|se|te|me|le|lo|su|sus)\b/i,
-  de: /\b(der|die|das|und|ist|sind|war|waren|haben|hat|wird|wurde|dass|mit|von|zu|im|am|ein|eine)\b/i,
-  fr: /\b(le|la|les|et|est|sont|était|étaient|avoir|a|va|que|de|dans|un|une|pour|par|avec|se|te|me)\b/i,
-  it: /\b(il|la|i|le|è|sono|era|erano|avere|ha|sarà|che|di|in|un|una|per|da|con|si|te|me)\b/i,
-  pt: /\b(o|a|os|as|é|são|era|eram|ter|tem|vai|que|de|em|um|uma|para|por|com|se|te|me)\b/i
-};
+// UTC day key for usage counters, e.g. 2024-05-31
+function getUsageDay(date = new Date()) {
+  return date.toISOString().substring(0, 10);
+}
 
-// Fast language detection using patterns (no API call)
-function detectLanguageFast(text) {
-  const textLower = text.toLowerCase();
-  const scores = {};
-  
-  for (const [lang, pattern] of Object.entries(LANGUAGE_PATTERNS)) {
-    const matches = textLower.match(pattern);
-    scores[lang] = matches ? matches.length : 0;
-  }
-  
-  const bestMatch = Object.entries(scores).reduce((a, b) => scores[a[0]] > scores[b[0]] ? a : b);
-  return bestMatch[1] > 0 ? bestMatch[0] : null;
+// UTC month key for budgets, e.g. 2024-05
+function getUsageMonth(date = new Date()) {
+  return date.toISOString().substring(0, 7);
 }
 
-// Check common phrases first (no API call needed)
-function getCommonPhraseTranslation(text, targetLang) {
-  const textLower = text.toLowerCase().trim();
+// Record usage for today. metrics like { api_calls: 1, characters: 42 } are added to the
+// totals and to the channel / user / target language breakdowns given in context.
+async function recordUsage(metrics, context = {}) {
+  const day = getUsageDay();
+  const fields = {};
   
-  if (COMMON_PHRASES[textLower]) {
-    return COMMON_PHRASES[textLower][targetLang] || null;
+  for (const [metric, amount] of Object.entries(metrics)) {
+    fields[metric] = amount;
+    if (context.channelId) fields[`channel:${context.channelId}:${metric}`] = amount;
+    if (context.userId) fields[`user:${context.userId}:${metric}`] = amount;
+    if (context.targetLang) fields[`lang:${context.targetLang}:${metric}`] = amount;
   }
   
-  return null;
-}
-
-// Detect language using translation with null target to get detected source
-async function detectLanguage(text) {
-  const cacheKey = `detect:${text.substring(0, 50)}`;
-  const cached = translationCache.get(cacheKey);
-  if (cached) {
-    cacheHitsToday++;
-    return cached;
+  // In-memory copy (only the last month is kept, Redis holds the history)
+  if (!usageByDay.has(day)) {
+    usageByDay.set(day, {});
+    const cutoff = getUsageDay(new Date(Date.now() - 31 * 86400000));
+    for (const oldDay of usageByDay.keys()) {
+      if (oldDay < cutoff) {
+        usageByDay.delete(oldDay);
+      }
+    }
+  }
+  const counters = usageByDay.get(day);
+  for (const [field, amount] of Object.entries(fields)) {
+    counters[field] = (counters[field] || 0) + amount;
   }
   
-  // First try fast pattern-based detection (no API call)
-  const fastResult = detectLanguageFast(text);
-  if (fastResult) {
-    console.log(`💡 Fast language detection: ${fastResult} (no API call)`);
-    translationCache.set(cacheKey, fastResult);
-    return fastResult;
+  const month = getUsageMonth();
+  const characterFields = Object.entries(fields).filter(([field]) => field.endsWith('characters'));
+  if (!charactersByMonth.has(month)) {
+    charactersByMonth.clear();
+    charactersByMonth.set(month, {});
+  }
+  const monthCounters = charactersByMonth.get(month);
+  for (const [field, amount] of characterFields) {
+    monthCounters[field] = (monthCounters[field] || 0) + amount;
   }
   
+  // One round trip for every counter
   try {
-    // Only use API if pattern detection fails
-    console.log(`🔍 Using DeepL API for language detection: "${text.substring(0, 30)}..."`);
-    apiCallsToday++;
-    const result = await translator.translateText(text, null, 'EN-US');
-    const langCode = result.detectedSourceLang.toLowerCase();
-    translationCache.set(cacheKey, langCode);
-    return langCode;
+    if (redisClient && redisAvailable) {
+      const batch = redisClient.multi();
+      for (const [field, amount] of Object.entries(fields)) {
+        batch.hIncrBy(`usage:${day}`, field, amount);
+      }
+      batch.expire(`usage:${day}`, USAGE_RETENTION_DAYS * 86400);
+      for (const [field, amount] of characterFields) {
+        batch.hIncrBy(`usage:${month}`, field, amount);
+      }
+      if (characterFields.length > 0) {
+        batch.expire(`usage:${month}`, USAGE_RETENTION_DAYS * 86400);
+      }
+      await batch.exec();
+    }
   } catch (error) {
-    console.error('Language detection error:', error);
-    return 'en'; // Default fallback
+    console.log('Redis not available for usage tracking, using memory only');
   }
 }
 
-// Translate text using DeepL
-async function translateText(text, targetLang, sourceLang = null) {
-  // Check common phrases first (no API call)
-  const commonTranslation = getCommonPhraseTranslation(text, targetLang);
-  if (commonTranslation) {
-    console.log(`💡 Common phrase translation: "${text}" → "${commonTranslation}" (no API call)`);
-    commonPhrasesUsed++;
-    return commonTranslation;
+// Usage counters for the last `days` days (today included), oldest first: [{ day, counters }]
+async function getUsageHistory(days) {
+  const history = [];
+  
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const day = getUsageDay(new Date(Date.now() - offset * 86400000));
+    let counters = usageByDay.get(day) || {};
+    
+    try {
+      if (redisClient && redisAvailable) {
+        const stored = await redisClient.hGetAll(`usage:${day}`);
+        if (stored && Object.keys(stored).length > 0) {
+          counters = Object.fromEntries(Object.entries(stored).map(([field, value]) => [field, Number(value)]));
+        }
+      }
+    } catch (error) {
+      console.log('Redis not available for usage history');
+    }
+    
+    history.push({ day, counters });
   }
   
-  // Check cache second
-  const cacheKey = `${text.substring(0, 100)}:${targetLang}:${sourceLang || 'auto'}`;
-  const cached = translationCache.get(cacheKey);
-  if (cached) {
-    cacheHitsToday++;
-    return cached;
+  return history;
+}
+
+// Sum daily counters into one object
+function sumUsage(history) {
+  const totals = {};
+  for (const { counters } of history) {
+    for (const [field, amount] of Object.entries(counters)) {
+      totals[field] = (totals[field] || 0) + amount;
+    }
+  }
+  return totals;
+}
+
+// Estimated cost of billed characters, e.g. "€1.23"
+function formatUsageCost(characters) {
+  const cost = (characters / 1000000) * USAGE_COST_PER_MILLION_CHARS;
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: USAGE_CURRENCY }).format(cost);
+}
+
+// Top entries of one breakdown (channel | user | lang) by billed characters
+function topUsage(totals, dimension, limit = 5) {
+  const prefix = `${dimension}:`;
+  return Object.entries(totals)
+    .filter(([field]) => field.startsWith(prefix) && field.endsWith(':characters'))
+    .map(([field, characters]) => ({ id: field.slice(prefix.length, -':characters'.length), characters }))
+    .sort((a, b) => b.characters - a.characters)
+    .slice(0, limit);
+}
+
+// Character budgets - monthly caps per workspace, channel and user (0 = unlimited)
+// Defaults come from the environment, overrides are set with /translate-usage budget
+const BUDGET_DEFAULTS = {
+  workspace: parseInt(process.env.BUDGET_WORKSPACE_MONTHLY_CHARS) || 0,
+  channel: parseInt(process.env.BUDGET_CHANNEL_MONTHLY_CHARS) || 0,
+  user: parseInt(process.env.BUDGET_USER_MONTHLY_CHARS) || 0
+};
+const BUDGET_WARNING_PERCENT = parseInt(process.env.BUDGET_WARNING_PERCENT) || 80;
+const budgetOverrides = new Map(); // 'workspace' | 'channel:<id>' | 'user:<id>' -> chars
+// Alerts sent this month ('<scope>:<warning|cap>'); the Redis markers in budget:alerts:<month> are
+// what survives restarts, this copy only saves a round trip per translation
+const budgetAlertsSent = new Set();
+let budgetAlertsMonth = null;
+
+// Thrown instead of calling the provider when a budget or the provider quota is used up
+class TranslationBudgetError extends Error {
+  constructor(scope, message) {
+    super(message);
+    this.name = 'TranslationBudgetError';
+    this.scope = scope;
+  }
+}
+
+// Human readable scope, e.g. "channel <#C123>"
+function formatBudgetScope(scope) {
+  if (scope === 'workspace') return 'workspace';
+  const [dimension, id] = scope.split(':');
+  return dimension === 'channel' ? `channel <#${id}>` : `user <@${id}>`;
+}
+
+// Get the monthly character budget for a scope (override first, then env default)
+async function getBudget(scope) {
+  if (budgetOverrides.has(scope)) {
+    return budgetOverrides.get(scope);
   }
   
   try {
-    console.log(`🌍 DeepL API translation: "${text.substring(0, 30)}..." (${sourceLang || 'auto'} → ${targetLang})`);
-    apiCallsToday++;
-    
-    // Ensure we have the right language code format
-    const targetCode = DEEPL_LANGUAGES[targetLang] || targetLang.toUpperCase();
-    
-    const result = await translator.translateText(
-      text,
-      sourceLang || null,
-      targetCode,
-      {
-        preserveFormatting: true,
-        formality: 'default',
-        splitSentences: 'nonewlines'
+    if (redisClient && redisAvailable) {
+      const stored = await redisClient.hGet('budgets', scope);
+      if (stored !== null && stored !== undefined) {
+        budgetOverrides.set(scope, Number(stored));
+        return Number(stored);
       }
-    );
-    
-    const translated = Array.isArray(result) ? result[0].text : result.text;
-    
-    // Cache the result
-    translationCache.set(cacheKey, translated);
-    
-    // Track usage for smart caching
-    trackTranslationUsage(text, targetLang, translated);
-    
-    return translated;
+    }
   } catch (error) {
-    console.error('Translation error:', error);
-    throw error;
+    console.log('Redis not available for budgets, using defaults');
   }
+  
+  return BUDGET_DEFAULTS[scope.split(':')[0]];
 }
 
-// Get user's preferred language
-async function getUserLanguage(userId) {
-  console.log(`🔍 getUserLanguage called for userId: ${userId}`);
-  
-  if (userPreferences.has(userId)) {
-    console.log(`📋 Found user ${userId} in memory cache`);
-    return userPreferences.get(userId);
+// Set (chars, 0 = unlimited) or clear (null) a budget override
+async function setBudget(scope, chars) {
+  if (chars === null) {
+    budgetOverrides.delete(scope);
+  } else {
+    budgetOverrides.set(scope, chars);
   }
   
-  console.log(`📋 User ${userId} not in memory, checking Redis...`);
   try {
     if (redisClient && redisAvailable) {
-      console.log(`📋 Redis is open, querying for user:${userId}:lang`);
-      const lang = await redisClient.get(`user:${userId}:lang`);
-      console.log(`📋 Redis returned: ${lang}`);
-      if (lang) {
-        userPreferences.set(userId, lang);
-        console.log(`📋 Cached user ${userId} language: ${lang}`);
-        return lang;
+      if (chars === null) {
+        await redisClient.hDel('budgets', scope);
+      } else {
+        await redisClient.hSet('budgets', scope, String(chars));
       }
     }
-    console.log(`📋 Redis not available or no language found for user ${userId}`);
   } catch (error) {
-    console.log('Redis not available for user preferences');
-    console.error('📋 Redis error details:', error);
+    console.log('Redis not available for budgets, using memory only');
   }
-  
-  console.log(`📋 Defaulting user ${userId} to English`);
-  return 'en'; // Default
 }
 
-// Set user's preferred language
-async function setUserLanguage(userId, lang) {
-  userPreferences.set(userId, lang);
-  console.log(`💾 Set user ${userId} language to ${lang}`);
+// Characters billed this month for a scope
+async function getMonthlyCharacters(scope) {
+  const field = scope === 'workspace' ? 'characters' : `${scope}:characters`;
+  const month = getUsageMonth();
+  
   try {
     if (redisClient && redisAvailable) {
-      await redisClient.set(`user:${userId}:lang`, lang);
-      console.log(`💾 Also saved to Redis`);
+      return Number(await redisClient.hGet(`usage:${month}`, field)) || 0;
     }
   } catch (error) {
-    console.log('Redis not available for user preferences, using memory only');
+    console.log('Redis not available for budget usage, using memory');
   }
+  
+  return (charactersByMonth.get(month) || {})[field] || 0;
 }
 
-// Get channel's primary language
-async function getChannelLanguage(channelId) {
-  // Check in-memory first
-  if (channelPreferences.has(channelId)) {
-    const lang = channelPreferences.get(channelId);
-    console.log(`📺 Channel ${channelId} language from memory: ${lang}`);
-    return lang;
+// Budget scopes that apply to a translation context
+function getBudgetScopes(context = {}) {
+  const scopes = ['workspace'];
+  if (context.channelId) scopes.push(`channel:${context.channelId}`);
+  if (context.userId) scopes.push(`user:${context.userId}`);
+  return scopes;
+}
+
+// Throw TranslationBudgetError if sending `characters` more would exceed a hard cap;
+// admins are notified once per month when a scope passes the warning level or its cap
+async function assertWithinBudget(context, characters) {
+  if (providerQuotaExhausted) {
+    throw new TranslationBudgetError('provider', `${translationProvider.label} character quota is used up - only cached translations and common phrases are available`);
+  }
+  
+  for (const scope of getBudgetScopes(context)) {
+    const budget = await getBudget(scope);
+    if (!budget) continue;
+    
+    const used = await getMonthlyCharacters(scope);
+    if (used + characters > budget) {
+      await alertBudget(scope, 'cap', `🛑 Translation budget reached for ${formatBudgetScope(scope)}: ${used.toLocaleString()} / ${budget.toLocaleString()} characters this month. Only cached translations and common phrases are served until next month.`);
+      throw new TranslationBudgetError(scope, `Monthly translation budget reached for ${formatBudgetScope(scope)} - only cached translations and common phrases are available until next month`);
+    }
+    
+    if ((used + characters) * 100 >= budget * BUDGET_WARNING_PERCENT) {
+      await alertBudget(scope, 'warning', `⚠️ ${formatBudgetScope(scope)} has used ${Math.round(((used + characters) / budget) * 100)}% of its monthly translation budget (${(used + characters).toLocaleString()} / ${budget.toLocaleString()} characters).`);
+    }
+  }
+}
+
+// DM admins about a budget event, once per scope, level and month
+async function alertBudget(scope, level, text) {
+  const month = getUsageMonth();
+  if (budgetAlertsMonth !== month) {
+    budgetAlertsSent.clear();
+    budgetAlertsMonth = month;
   }
   
+  const alertKey = `${scope}:${level}`;
+  if (budgetAlertsSent.has(alertKey)) return;
+  budgetAlertsSent.add(alertKey);
+  
+  // One Redis set per month, dropped when the month is over
   try {
     if (redisClient && redisAvailable) {
-      const lang = await redisClient.get(`channel:${channelId}:lang`);
-      if (lang) {
-        channelPreferences.set(channelId, lang);
-        console.log(`📺 Channel ${channelId} language from Redis: ${lang}`);
-        return lang;
-      }
+      const now = new Date();
+      const nextMonth = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+      const [added] = await redisClient.multi()
+        .sAdd(`budget:alerts:${month}`, alertKey)
+        .expireAt(`budget:alerts:${month}`, Math.floor(nextMonth.getTime() / 1000))
+        .exec();
+      if (!added) return; // Another instance already sent it
     }
   } catch (error) {
-    console.log('Redis not available for channel preferences');
+    console.log('Redis not available for budget alerts, using memory only');
   }
   
-  console.log(`📺 Channel ${channelId} language defaulting to: en`);
-  return 'en';
+  console.log(`💸 Budget ${level} for ${scope}`);
+  await notifyAdmins(text);
 }
 
-// Set channel's primary language
-async function setChannelLanguage(channelId, lang) {
-  channelPreferences.set(channelId, lang);
-  console.log(`💾 Set channel ${channelId} language to ${lang}`);
+// Workspace admins receive quota and budget alerts (comma separated Slack user IDs)
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+
+// Roles - workspace admins manage everything, channel managers manage one channel's settings.
+// Granted roles live in Redis sets (`roles:admins`, `roles:channel:ID`) with a memory fallback.
+const roleMembers = new Map(); // role key -> Set of user ids
+
+class PermissionDeniedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+async function getRoleMembers(roleKey) {
   try {
     if (redisClient && redisAvailable) {
-      await redisClient.set(`channel:${channelId}:lang`, lang);
-      console.log(`💾 Also saved to Redis`);
+      return await redisClient.sMembers(roleKey);
     }
   } catch (error) {
-    console.log('Redis not available for channel preferences, using memory only');
+    console.log('Redis not available for roles, using memory only');
   }
+  return [...(roleMembers.get(roleKey) || [])];
 }
 
-// Store message language
-async function storeMessageLanguage(channel, ts, language) {
+async function hasRole(roleKey, userId) {
   try {
     if (redisClient && redisAvailable) {
-      await redisClient.setEx(
-        `msg:${channel}:${ts}:lang`,
-        604800, // 7 days
-        language
-      );
+      return await redisClient.sIsMember(roleKey, userId);
     }
   } catch (error) {
-    console.log('Redis not available for message language storage');
+    console.log('Redis not available for roles, using memory only');
   }
+  return Boolean(roleMembers.has(roleKey) && roleMembers.get(roleKey).has(userId));
 }
 
-// Get thread language
-async function getThreadLanguage(channel, threadTs) {
-  if (!threadTs) return null;
+// Grant or revoke a role, returns false when nothing changed
+async function setRole(roleKey, userId, granted) {
+  if (!roleMembers.has(roleKey)) {
+    roleMembers.set(roleKey, new Set());
+  }
+  const members = roleMembers.get(roleKey);
+  let changed = granted ? !members.has(userId) : members.has(userId);
+  if (granted) {
+    members.add(userId);
+  } else {
+    members.delete(userId);
+  }
   
   try {
     if (redisClient && redisAvailable) {
-      return await redisClient.get(`msg:${channel}:${threadTs}:lang`);
+      changed = (granted ? await redisClient.sAdd(roleKey, userId) : await redisClient.sRem(roleKey, userId)) > 0;
     }
   } catch (error) {
-    console.log('Redis not available for thread language');
+    console.log('Redis not available for roles, using memory only');
   }
   
-  return null;
+  return changed;
 }
 
-// Detect channel language from recent messages
-async function detectChannelLanguage(client, channelId) {
+// Workspace admins: ADMIN_USER_IDS, admins granted with /translate-admin, and Slack workspace admins and owners
+async function isWorkspaceAdmin(client, userId) {
+  if (ADMIN_USER_IDS.includes(userId) || await hasRole('roles:admins', userId)) {
+    return true;
+  }
+  
   try {
-    console.log(`🔍 Detecting channel language from recent messages (cost-optimized)...`);
-    
-    const history = await client.conversations.history({
-      channel: channelId,
-      limit: 3 // Reduced from 10 to 3 for cost optimization
-    });
-    
-    const langCounts = {};
-    let analyzed = 0;
+    const userInfo = await client.users.info({ user: userId });
+    return Boolean(userInfo.user.is_admin || userInfo.user.is_owner);
+  } catch (error) {
+    console.log(`❌ Error checking admin status for ${userId}:`, error.message);
+    return false;
+  }
+}
+
+// Channel managers can change that channel's settings; workspace admins can change every channel's
+async function isChannelManager(client, userId, channelId) {
+  return await hasRole(`roles:channel:${channelId}`, userId) || await isWorkspaceAdmin(client, userId);
+}
+
+// Throw a PermissionDeniedError naming what the user tried to do, e.g. 'change channel settings'
+async function requireWorkspaceAdmin(client, userId, attempt) {
+  if (!(await isWorkspaceAdmin(client, userId))) {
+    throw new PermissionDeniedError(`Only workspace admins can ${attempt}`);
+  }
+}
+
+async function requireChannelManager(client, userId, channelId, attempt) {
+  if (!(await isChannelManager(client, userId, channelId))) {
+    throw new PermissionDeniedError(`Only workspace admins and this channel's managers can ${attempt}`);
+  }
+}
+
+// Audit log - every settings change, newest first, in the Redis list `audit:log`
+const AUDIT_LOG_MAX_ENTRIES = parseInt(process.env.AUDIT_LOG_MAX_ENTRIES) || 5000;
+const auditLog = [];
+
+// scope is 'workspace', 'channel:ID' or 'user:ID'; action names the setting, e.g. 'channel.mode'
+async function recordAudit(userId, scope, action, value) {
+  const entry = { at: new Date().toISOString(), userId, scope, action, value };
+  auditLog.unshift(entry);
+  auditLog.splice(AUDIT_LOG_MAX_ENTRIES);
+  console.log(`📝 Audit: ${userId} ${action} ${scope} = ${JSON.stringify(value)}`);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.lPush('audit:log', JSON.stringify(entry));
+      await redisClient.lTrim('audit:log', 0, AUDIT_LOG_MAX_ENTRIES - 1);
+    }
+  } catch (error) {
+    console.log('Redis not available for audit log, using memory only');
+  }
+}
+
+// Latest entries, optionally only those for one scope
+async function getAuditLog(limit = 20, scope = null) {
+  let entries = auditLog;
+  try {
+    if (redisClient && redisAvailable) {
+      entries = (await redisClient.lRange('audit:log', 0, AUDIT_LOG_MAX_ENTRIES - 1)).map(entry => JSON.parse(entry));
+    }
+  } catch (error) {
+    console.log('Redis not available for audit log, using memory only');
+  }
+  return entries.filter(entry => !scope || entry.scope === scope).slice(0, limit);
+}
+
+// Send a DM to every admin (ADMIN_USER_IDS and granted admins)
+async function notifyAdmins(text) {
+  const adminIds = new Set([...ADMIN_USER_IDS, ...await getRoleMembers('roles:admins')]);
+  for (const adminId of adminIds) {
+    try {
+      await app.client.chat.postMessage({ channel: adminId, text });
+    } catch (error) {
+      console.log(`❌ Error notifying admin ${adminId}:`, error.message);
+    }
+  }
+}
+
+// Provider quota guardrails - alert admins as usage from getUsage() crosses each threshold
+const QUOTA_ALERT_THRESHOLDS = (process.env.QUOTA_ALERT_THRESHOLDS || '80,95')
+  .split(',').map(Number).filter(n => n > 0).sort((a, b) => a - b);
+const QUOTA_CHECK_INTERVAL_MINUTES = parseFloat(process.env.QUOTA_CHECK_INTERVAL_MINUTES) || 30;
+let providerQuotaExhausted = false;
+let lastQuotaAlert = 0;
+
+// Check provider usage, alerting on newly crossed thresholds
+async function checkProviderQuota() {
+  try {
+    const usage = await translationProvider.getUsage();
+    const percentage = (usage.character.count / usage.character.limit) * 100;
+    providerQuotaExhausted = usage.character.count >= usage.character.limit;
     
-    for (const msg of history.messages) {
-      if (msg.text && !msg.bot_id && msg.text.length > 10) {
-        const lang = await detectLanguage(msg.text);
-        langCounts[lang] = (langCounts[lang] || 0) + 1;
-        analyzed++;
-        console.log(`📝 Message "${msg.text.substring(0, 30)}..." detected as: ${lang}`);
+    try {
+      if (redisClient && redisAvailable) {
+        lastQuotaAlert = Number(await redisClient.get('quota:last_alert')) || 0;
       }
+    } catch (error) {
+      console.log('Redis not available for quota alerts, using memory');
     }
     
-    if (analyzed === 0) {
-      console.log(`❌ No messages found, defaulting to English`);
-      return 'en';
+    // Highest threshold crossed; when usage drops (new billing period) the alerts re-arm
+    const crossed = QUOTA_ALERT_THRESHOLDS.filter(threshold => percentage >= threshold).pop() || 0;
+    if (crossed === lastQuotaAlert) {
+      return usage;
     }
     
-    // Get most common language
-    const primaryLang = Object.entries(langCounts)
-      .sort(([,a], [,b]) => b - a)[0][0];
+    const previousAlert = lastQuotaAlert;
+    lastQuotaAlert = crossed;
+    try {
+      if (redisClient && redisAvailable) {
+        await redisClient.set('quota:last_alert', String(crossed));
+      }
+    } catch (error) {
+      console.log('Redis not available for quota alerts, using memory');
+    }
     
-    console.log(`✅ Channel language detected: ${primaryLang} (from ${analyzed} messages, cost-optimized)`);
-    return primaryLang;
+    if (crossed > previousAlert) {
+      console.log(`💸 ${translationProvider.label} usage at ${Math.round(percentage)}%`);
+      const severe = providerQuotaExhausted || crossed === QUOTA_ALERT_THRESHOLDS[QUOTA_ALERT_THRESHOLDS.length - 1];
+      await notifyAdmins(`${severe ? '🛑' : '⚠️'} ${translationProvider.label} usage is at ${Math.round(percentage)}% (${usage.character.count.toLocaleString()} / ${usage.character.limit.toLocaleString()} characters). ${providerQuotaExhausted ? 'Only cached translations and common phrases are served until the quota resets.' : 'Translations fall back to cache and common phrases once the quota runs out.'}`);
+    }
     
+    return usage;
   } catch (error) {
-    console.error('❌ Error detecting channel language:', error);
-    return 'en'; // Default fallback
+    console.error('❌ Quota check error:', error.message);
+    return null;
   }
 }
 
-// Store original message for /translate commands
-async function storeOriginalMessage(channel, messageTs, originalText, detectedLang, translatedText, channelLang) {
-  const originalData = {
-    original: originalText,
-    originalLang: detectedLang,
-    translated: translatedText,
-    translatedLang: channelLang,
-    timestamp: Date.now()
-  };
+// CSV export of daily usage per channel, user and target language
+function buildUsageCsv(history) {
+  const rows = [['date', 'dimension', 'id', 'api_calls', 'characters', 'estimated_cost', 'currency']];
   
-  const cacheKey = `original:${channel}:${messageTs}`;
-  originalMessageCache.set(cacheKey, originalData);
+  for (const { day, counters } of history) {
+    rows.push([day, 'total', '', counters.api_calls || 0, counters.characters || 0]);
+    for (const dimension of ['channel', 'user', 'lang']) {
+      for (const { id, characters } of topUsage(counters, dimension, Infinity)) {
+        rows.push([day, dimension, id, counters[`${dimension}:${id}:api_calls`] || 0, characters]);
+      }
+    }
+  }
+  
+  return rows.map((row, index) => {
+    if (index > 0) {
+      row.push(((row[4] / 1000000) * USAGE_COST_PER_MILLION_CHARS).toFixed(4), USAGE_CURRENCY);
+    }
+    return row.join(',');
+  }).join('\n');
+}
+
+// Track translation usage and extend cache for popular phrases
+function trackTranslationUsage(text, targetLang, translation, sourceLang = null) {
+  const key = `${text.toLowerCase()}:${targetLang}`;
+  const usage = frequentTranslations.get(key) || { count: 0, translation };
+  usage.count++;
+  usage.translation = translation;
+  frequentTranslations.set(key, usage);
+  
+  // If used frequently, cache for longer (24 hours instead of 1)
+  if (usage.count >= 3) {
+    const cacheKey = buildTranslationCacheKey(text, targetLang, sourceLang);
+    setCachedTranslation(cacheKey, translation, 86400); // 24 hours
+    console.log(`📚 Extended cache for popular phrase: "${text.substring(0, 30)}..." (used ${usage.count} times)`);
+  }
+}
+
+// Cache key over the full normalized text, so long messages sharing a prefix never collide
+// Only runs of spaces and tabs are collapsed - line breaks change the translated layout
+// Variant parts (formality, glossary) are appended by the caller
+function buildTranslationCacheKey(text, targetLang, sourceLang = null) {
+  const normalized = text.normalize('NFC').trim().replace(/[ \t]+/g, ' ');
+  const hash = crypto.createHash('sha256').update(normalized).digest('hex');
+  return `tr:${hash}:${targetLang}:${sourceLang || 'auto'}`;
+}
+
+// Look up a cached value: memory tier first, then Redis (backfilling memory on a Redis hit)
+async function getCachedTranslation(cacheKey) {
+  const cached = translationCache.get(cacheKey);
+  if (cached !== undefined) {
+    cacheStats.memory.hits++;
+    return cached;
+  }
+  cacheStats.memory.misses++;
   
   try {
     if (redisClient && redisAvailable) {
-      await redisClient.setEx(cacheKey, 604800, JSON.stringify(originalData)); // 7 days
-      console.log(`💾 Stored original message for ${messageTs}`);
+      const stored = await redisClient.get(`cache:${cacheKey}`);
+      if (stored !== null) {
+        cacheStats.redis.hits++;
+        setMemoryCache(cacheKey, stored);
+        return stored;
+      }
+      cacheStats.redis.misses++;
     }
   } catch (error) {
-    console.log('Redis not available for original message storage');
+    console.log('Redis not available for translation cache');
   }
+  
+  return null;
 }
 
-// Get original message data
-async function getOriginalMessage(channel, messageTs) {
-  const cacheKey = `original:${channel}:${messageTs}`;
+// Store a value in both cache tiers (ttl in seconds overrides the memory tier default)
+async function setCachedTranslation(cacheKey, value, ttl) {
+  setMemoryCache(cacheKey, value, ttl);
   
-  // Check memory first
-  const cached = originalMessageCache.get(cacheKey);
-  if (cached) {
-    console.log(`📖 Found original message in memory for ${messageTs}`);
-    return cached;
+  try {
+    if (redisClient && redisAvailable) {
+      const redisTtl = Math.max(CACHE_REDIS_TTL, ttl || 0);
+      await redisClient.setEx(`cache:${cacheKey}`, redisTtl, value);
+      await redisClient.zAdd('cache:index', { score: Date.now(), value: cacheKey });
+    }
+  } catch (error) {
+    console.log('Redis not available for translation cache, using memory only');
+  }
+}
+
+// Memory tier set - NodeCache refuses new keys once maxKeys is reached, so drop the oldest tenth
+function setMemoryCache(cacheKey, value, ttl) {
+  try {
+    translationCache.set(cacheKey, value, ttl || CACHE_MEMORY_TTL);
+  } catch (error) {
+    const keys = translationCache.keys();
+    translationCache.del(keys.slice(0, Math.ceil(keys.length / 10)));
+    translationCache.set(cacheKey, value, ttl || CACHE_MEMORY_TTL);
+  }
+}
+
+// Keep the Redis tier under CACHE_REDIS_MAX_KEYS, evicting the oldest entries first
+// Runs every CACHE_TRIM_INTERVAL_MINUTES rather than on each write
+async function trimRedisCache() {
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.zRemRangeByScore('cache:index', 0, Date.now() - CACHE_REDIS_TTL * 1000);
+      
+      const size = await redisClient.zCard('cache:index');
+      const excess = size - CACHE_REDIS_MAX_KEYS;
+      if (excess > 0) {
+        const oldest = await redisClient.zRange('cache:index', 0, excess - 1);
+        await redisClient.del(oldest.map(key => `cache:${key}`));
+        await redisClient.zRemRangeByRank('cache:index', 0, excess - 1);
+        console.log(`🧹 Evicted ${oldest.length} old translations from the Redis cache`);
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for cache trimming');
+  }
+}
+
+// Hit rate of one cache tier for /translate-usage, e.g. "82% (41 / 50)"
+function formatHitRate({ hits, misses }) {
+  const lookups = hits + misses;
+  if (lookups === 0) {
+    return 'No lookups yet';
   }
   
-  // Check Redis
+  return `${Math.round((hits / lookups) * 100)}% (${hits} / ${lookups})`;
+}
+
+// Remove cached values matching a predicate from both tiers
+async function deleteCachedTranslations(predicate) {
+  const memoryKeys = translationCache.keys().filter(predicate);
+  translationCache.del(memoryKeys);
+  
+  let redisCount = 0;
   try {
     if (redisClient && redisAvailable) {
-      const stored = await redisClient.get(cacheKey);
-      if (stored) {
-        const originalData = JSON.parse(stored);
-        originalMessageCache.set(cacheKey, originalData);
-        console.log(`📖 Found original message in Redis for ${messageTs}`);
-        return originalData;
+      const redisKeys = (await redisClient.zRange('cache:index', 0, -1)).filter(predicate);
+      if (redisKeys.length > 0) {
+        await redisClient.del(redisKeys.map(key => `cache:${key}`));
+        await redisClient.zRem('cache:index', redisKeys);
+      }
+      redisCount = redisKeys.length;
+    }
+  } catch (error) {
+    console.log('Redis not available for translation cache invalidation');
+  }
+  
+  return memoryKeys.length + redisCount;
+}
+
+// User preferences cache
+const userPreferences = new Map();
+
+// Auto-translation mode cache (userId -> on | mentions | dms | off)
+const autoTranslatePreferences = new Map();
+
+// Where a user's language came from (userId -> explicit | inferred | none)
+const languageSources = new Map();
+
+// Secondary languages cache (userId -> comma-separated codes the user also reads)
+const secondaryLanguagePreferences = new Map();
+
+// Muted users per channel (channelId -> Set of userIds)
+const channelMutes = new Map();
+
+// Channel preferences cache  
+const channelPreferences = new Map();
+
+// Channel translation mode cache (channelId -> off | ephemeral | threaded | posted)
+const channelModes = new Map();
+
+// Channel file translation cache (channelId -> on | off)
+const channelFileSettings = new Map();
+
+// Formality preferences cache (user:ID / channel:ID -> formal | informal | default)
+const formalityPreferences = new Map();
+
+// /translate preview preference cache (userId -> on | off)
+const previewPreferences = new Map();
+
+// Detected channel languages (avoids conversations.history on every /translate)
+const channelDetectionCache = new NodeCache({
+  stdTTL: 1800 // 30 minutes
+});
+
+// Channel glossaries cache (channel:source:target -> { entries, glossaryId })
+const channelGlossaries = new Map();
+
+// Original message cache for /translate command
+const originalMessageCache = new NodeCache({
+  stdTTL: 604800, // 7 days
+  maxKeys: 5000
+});
+
+// Provenance - every channel post the bot makes carries message metadata and its ts is kept
+// in a registry (provenance:CHANNEL:TS), so loop prevention doesn't depend on what the text says
+const PROVENANCE_EVENT_TYPE = 'slacklator_translation';
+const botPostRegistry = new NodeCache({
+  stdTTL: 604800, // 7 days
+  maxKeys: 20000
+});
+
+// Our threaded/posted translation of each source message (channel:sourceTs -> post ts),
+// so edits can update it and deletions remove it
+const translationPostCache = new NodeCache({
+  stdTTL: 604800, // 7 days
+  maxKeys: 5000
+});
+
+// Offline fallback for the provider's language list: base language -> default DeepL target.
+// The live list is fetched at startup by loadSupportedLanguages().
+const DEEPL_LANGUAGES = {
+  'bg': 'BG', 'cs': 'CS', 'da': 'DA', 'de': 'DE', 'el': 'EL',
+  'en': 'EN-US', 'es': 'ES', 'et': 'ET', 'fi': 'FI', 'fr': 'FR',
+  'hu': 'HU', 'id': 'ID', 'it': 'IT', 'ja': 'JA', 'ko': 'KO',
+  'lt': 'LT', 'lv': 'LV', 'nb': 'NB', 'nl': 'NL', 'pl': 'PL',
+  'pt': 'PT-PT', 'ro': 'RO', 'ru': 'RU', 'sk': 'SK', 'sl': 'SL',
+  'sv': 'SV', 'tr': 'TR', 'uk': 'UK', 'zh': 'ZH'
+};
+
+// Regional variants and newer targets, also part of the offline fallback
+const DEEPL_EXTRA_TARGETS = {
+  'en-gb': 'EN-GB', 'en-us': 'EN-US', 'pt-br': 'PT-BR', 'pt-pt': 'PT-PT',
+  'zh-hans': 'ZH-HANS', 'zh-hant': 'ZH-HANT', 'ar': 'AR'
+};
+
+// Native language names for pickers, so nobody has to guess what "nb" means
+const LANGUAGE_NAMES = {
+  'bg': 'Български', 'cs': 'Čeština', 'da': 'Dansk', 'de': 'Deutsch', 'el': 'Ελληνικά',
+  'en': 'English', 'es': 'Español', 'et': 'Eesti', 'fi': 'Suomi', 'fr': 'Français',
+  'hu': 'Magyar', 'id': 'Bahasa Indonesia', 'it': 'Italiano', 'ja': '日本語', 'ko': '한국어',
+  'lt': 'Lietuvių', 'lv': 'Latviešu', 'nb': 'Norsk bokmål', 'nl': 'Nederlands', 'pl': 'Polski',
+  'pt': 'Português', 'ro': 'Română', 'ru': 'Русский', 'sk': 'Slovenčina', 'sl': 'Slovenščina',
+  'sv': 'Svenska', 'tr': 'Türkçe', 'uk': 'Українська', 'zh': '中文',
+  'en-gb': 'English (UK)', 'en-us': 'English (US)', 'pt-br': 'Português (Brasil)', 'pt-pt': 'Português (Portugal)',
+  'zh-hans': '简体中文', 'zh-hant': '繁體中文', 'ar': 'العربية'
+};
+
+// Picker label for a language code, e.g. "Norsk bokmål (nb)" - DeepL's own name for languages added
+// after this table was written
+function formatLanguageName(code) {
+  const target = supportedTargetLanguages.get(code);
+  const name = LANGUAGE_NAMES[code] || (target && target.name);
+  return name ? `${name} (${code})` : code.toUpperCase();
+}
+
+// Auto-translation modes for incoming messages
+const AUTO_TRANSLATE_MODES = {
+  on: 'All messages',
+  mentions: 'Only messages that mention me',
+  dms: 'Only direct messages',
+  off: 'Disabled'
+};
+
+// How incoming translations are shown in a channel
+const CHANNEL_MODES = {
+  ephemeral: 'Private translation for each reader',
+  threaded: 'One threaded reply with all languages',
+  posted: 'One message in the channel with all languages',
+  off: 'No automatic translation'
+};
+
+// Target languages DeepL accepts the formality option for
+const FORMALITY_LANGUAGES = ['de', 'es', 'fr', 'it', 'ja', 'nl', 'pl', 'pt', 'ru'];
+
+// User-facing formality settings → DeepL formality values
+const FORMALITY_OPTIONS = {
+  formal: 'more',
+  informal: 'less',
+  default: 'default'
+};
+
+// DeepL formality for a target language ('default' where formality is not supported)
+function getDeepLFormality(targetLang, formality) {
+  const target = resolveTargetLanguage(targetLang);
+  if (!formality || !target || !target.supportsFormality) {
+    return 'default';
+  }
+  
+  return FORMALITY_OPTIONS[formality] || 'default';
+}
+
+// Supported target languages: lowercase code -> { deeplCode, name, supportsFormality }
+// Starts from the hardcoded tables and is replaced by the provider's list at startup
+function buildFallbackTargetLanguages() {
+  const targets = new Map();
+  for (const [code, deeplCode] of Object.entries({ ...DEEPL_LANGUAGES, ...DEEPL_EXTRA_TARGETS })) {
+    targets.set(code, {
+      deeplCode,
+      name: LANGUAGE_NAMES[code] || deeplCode,
+      supportsFormality: FORMALITY_LANGUAGES.includes(getBaseLanguage(code)) && !code.startsWith('zh')
+    });
+  }
+  return targets;
+}
+
+let supportedTargetLanguages = buildFallbackTargetLanguages();
+
+// 'pt-br' -> 'pt'. Detection and glossaries work on base languages; common phrases fall back to them.
+function getBaseLanguage(code) {
+  return code.split('-')[0];
+}
+
+// Variants of one language count as the same language, so a PT-BR reader skips PT messages
+function isSameLanguage(a, b) {
+  return Boolean(a && b) && getBaseLanguage(a) === getBaseLanguage(b);
+}
+
+// Target entry for a preference; base codes like 'en' resolve to their default variant (EN-US)
+function resolveTargetLanguage(code) {
+  if (!code) {
+    return null;
+  }
+  
+  return supportedTargetLanguages.get(code) ||
+    (DEEPL_LANGUAGES[code] ? supportedTargetLanguages.get(DEEPL_LANGUAGES[code].toLowerCase()) : null) ||
+    null;
+}
+
+function isSupportedLanguage(code) {
+  return Boolean(resolveTargetLanguage(code));
+}
+
+// DeepL target code for a preference, e.g. 'en' -> 'EN-US', 'pt-br' -> 'PT-BR'
+function toDeepLTargetCode(code) {
+  const target = resolveTargetLanguage(code);
+  return target ? target.deeplCode : code.toUpperCase();
+}
+
+// Supported codes for lists and pickers, sorted
+function getSupportedLanguageCodes() {
+  return [...supportedTargetLanguages.keys()].sort();
+}
+
+// The picker entry for a stored preference - 'en' is shown as its default variant 'en-us'
+// when the provider only lists variants
+function toPickerLanguage(code) {
+  return supportedTargetLanguages.has(code) ? code : toDeepLTargetCode(code).toLowerCase();
+}
+
+// Fetch the provider's target languages once at startup. The last good list is kept in Redis
+// for restarts while the provider is unreachable; the hardcoded tables are the last resort.
+async function loadSupportedLanguages() {
+  let targets = null;
+  
+  try {
+    const { target } = await translationProvider.getSupportedLanguages();
+    targets = target.map(({ code, name, supportsFormality }) => [
+      code.toLowerCase(),
+      { deeplCode: code.toUpperCase(), name, supportsFormality: Boolean(supportsFormality) }
+    ]);
+    
+    try {
+      if (redisClient && redisAvailable) {
+        await redisClient.set('languages:supported', JSON.stringify(targets));
+      }
+    } catch (error) {
+      console.log('Redis not available for the supported language list');
+    }
+  } catch (error) {
+    console.log(`⚠️ Could not fetch ${translationProvider.label} languages: ${error.message}`);
+    
+    try {
+      if (redisClient && redisAvailable) {
+        const stored = await redisClient.get('languages:supported');
+        targets = stored ? JSON.parse(stored) : null;
+      }
+    } catch (redisError) {
+      console.log('Redis not available for the supported language list');
+    }
+  }
+  
+  if (targets && targets.length > 0) {
+    supportedTargetLanguages = new Map(targets);
+    console.log(`🌍 ${supportedTargetLanguages.size} target languages available`);
+  } else {
+    console.log(`🌍 Using the built-in language list (${supportedTargetLanguages.size} target languages)`);
+  }
+}
+
+// Common phrases (no API call) - built-in phrases come from the versioned data/common-phrases.json,
+// team phrases added with /translate-phrases are kept in Redis (`phrases:custom`)
+const COMMON_PHRASES_DATA = require('./data/common-phrases.json');
+const COMMON_PHRASES = COMMON_PHRASES_DATA.phrases; // phrase -> { lang: text | [text, ...aliases] }
+const commonPhraseIndex = new Map(); // normalized text -> [{ lang, translations }]
+const customPhrases = new Map(); // normalized phrase -> { phrase, translations, addedBy }
+
+// Split text into its normalized phrase and the punctuation/emoji around it:
+// "¡Thanks! :pray:" -> { key: 'thanks', suffix: '! :pray:', capitalized: true }
+function splitPhrase(text) {
+  const match = text.normalize('NFC').trim()
+    .match(/^[\p{P}\p{S}\s]*(.*?)((?::[a-z0-9_+-]+:|[\p{P}\p{S}\s\u200d\ufe0f])*)$/isu);
+  const phrase = match[1];
+  return {
+    key: phrase.toLowerCase().replace(/\s+/g, ' '),
+    suffix: match[2].trimEnd(),
+    capitalized: phrase.length > 0 && phrase[0] !== phrase[0].toLowerCase()
+  };
+}
+
+// First entry is the canonical translation, the rest are aliases
+function phraseForms(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+for (const [phrase, translations] of Object.entries(COMMON_PHRASES)) {
+  for (const [lang, value] of Object.entries(translations)) {
+    for (const form of phraseForms(value)) {
+      const { key } = splitPhrase(form);
+      if (!commonPhraseIndex.has(key)) {
+        commonPhraseIndex.set(key, []);
+      }
+      commonPhraseIndex.get(key).push({ lang, translations });
+    }
+  }
+  
+  const missing = Object.keys(DEEPL_LANGUAGES).filter(lang => !translations[lang]);
+  if (missing.length > 0) {
+    console.log(`⚠️ Common phrase '${phrase}' has no translation for: ${missing.join(', ')}`);
+  }
+}
+console.log(`💬 Loaded common phrases v${COMMON_PHRASES_DATA.version} (${Object.keys(COMMON_PHRASES).length} phrases)`);
+
+// Smart language detection with cost optimization - local detection first, DeepL only when unsure.
+// Languages with their own script are recognised by script; the rest are scored against
+// character 1-3 gram profiles built from data/language-samples.json.
+const LANGUAGE_SAMPLES = require('./data/language-samples.json');
+const LANGUAGE_DETECTION_MIN_CONFIDENCE = parseFloat(process.env.LANGUAGE_DETECTION_MIN_CONFIDENCE) || 0.5;
+
+const SCRIPT_PATTERNS = {
+  hangul: /[가-힯ᄀ-ᇿ㄰-㆏]/g,
+  kana: /[぀-ヿ]/g,
+  han: /[一-鿿㐀-䶿]/g,
+  greek: /[Ͱ-Ͽἀ-῿]/g,
+  cyrillic: /[Ѐ-ӿ]/g,
+  arabic: /[؀-ۿݐ-ݿ]/g
+};
+
+// Lowercased letters only - Slack mentions, links, emoji codes and code spans are dropped
+function normalizeForDetection(text) {
+  return text
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/:[a-z0-9_+-]+:/gi, ' ')
+    .replace(/`[^`]*`/g, ' ')
+    .toLowerCase()
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Character 1-3 grams of each space-padded word
+function getCharacterNgrams(text) {
+  const ngrams = [];
+  for (const word of text.split(' ')) {
+    if (!word) continue;
+    const padded = ` ${word} `;
+    for (let n = 1; n <= 3; n++) {
+      for (let i = 0; i <= padded.length - n; i++) {
+        const ngram = padded.substring(i, i + n);
+        if (ngram.trim()) ngrams.push(ngram);
+      }
+    }
+  }
+  return ngrams;
+}
+
+// lang -> { counts, total, cyrillic }
+const LANGUAGE_PROFILES = Object.fromEntries(
+  Object.entries(LANGUAGE_SAMPLES.languages).map(([lang, { words, sample }]) => {
+    const counts = new Map();
+    const ngrams = getCharacterNgrams(normalizeForDetection(`${sample} ${words.join(' ')}`));
+    ngrams.forEach(ngram => counts.set(ngram, (counts.get(ngram) || 0) + 1));
+    return [lang, { counts, total: ngrams.length, cyrillic: /[Ѐ-ӿ]/.test(sample) }];
+  })
+);
+
+// Detect language locally (no API call): { lang, confidence } with confidence from 0 to 1
+function detectLanguageLocal(text) {
+  const normalized = normalizeForDetection(text);
+  const letters = normalized.replace(/ /g, '').length;
+  if (letters === 0) {
+    return { lang: null, confidence: 0 };
+  }
+  
+  // Script detection - kana means Japanese even when mixed with kanji
+  const share = (script) => (normalized.match(SCRIPT_PATTERNS[script]) || []).length / letters;
+  if (share('hangul') >= 0.5) return { lang: 'ko', confidence: share('hangul') };
+  if (share('kana') > 0 && share('kana') + share('han') >= 0.5) return { lang: 'ja', confidence: share('kana') + share('han') };
+  if (share('han') >= 0.5) return { lang: 'zh', confidence: share('han') * 0.9 }; // Kanji-only Japanese exists
+  if (share('greek') >= 0.5) return { lang: 'el', confidence: share('greek') };
+  if (share('arabic') >= 0.5) return { lang: 'ar', confidence: share('arabic') * 0.9 }; // Persian and Urdu share the script
+  
+  // N-gram scoring (naive Bayes) among the languages written in the same script
+  const cyrillic = share('cyrillic') >= 0.5;
+  const ngrams = getCharacterNgrams(normalized);
+  const scores = Object.entries(LANGUAGE_PROFILES)
+    .filter(([, profile]) => profile.cyrillic === cyrillic)
+    .map(([lang, profile]) => {
+      let score = 0;
+      for (const ngram of ngrams) {
+        score += Math.log(((profile.counts.get(ngram) || 0) + 0.5) / (profile.total + 2000));
+      }
+      return { lang, score };
+    });
+  
+  // Softmax tempered by input length, so short texts stay uncertain
+  const best = Math.max(...scores.map(({ score }) => score));
+  const weights = scores.map(({ lang, score }) => ({ lang, weight: Math.exp((score - best) / Math.sqrt(ngrams.length)) }));
+  const total = weights.reduce((sum, { weight }) => sum + weight, 0);
+  const top = weights.reduce((a, b) => (b.weight > a.weight ? b : a));
+  
+  return { lang: top.lang, confidence: top.weight / total };
+}
+
+// Traditional Chinese readers must not get the Simplified phrases stored under 'zh'
+const COMMON_PHRASE_SCRIPT_VARIANTS = new Set(['zh-hant']);
+
+// Check common phrases first (no API call needed). Team phrases win over built-in ones;
+// when a word exists in several languages the entry for sourceLang is preferred.
+function getCommonPhraseTranslation(text, targetLang, sourceLang = null) {
+  if (text.length > 100) {
+    return null;
+  }
+  
+  // A phrase stored for the exact variant (e.g. 'zh-hant') wins, then the base language's -
+  // except for variants written in another script than their base language's phrases
+  const lookupLangs = COMMON_PHRASE_SCRIPT_VARIANTS.has(targetLang)
+    ? [targetLang]
+    : [...new Set([targetLang, getBaseLanguage(targetLang)])];
+  const pick = translations => {
+    const lang = lookupLangs.find(code => translations[code]);
+    return lang ? translations[lang] : null;
+  };
+  
+  const { key, suffix, capitalized } = splitPhrase(text);
+  const custom = customPhrases.get(key);
+  let translation = custom ? pick(custom.translations) : null;
+  
+  if (!translation) {
+    const matches = commonPhraseIndex.get(key) || [];
+    const match = matches.find(({ lang }) => lang === sourceLang) || matches[0];
+    const value = match ? pick(match.translations) : null;
+    translation = value ? phraseForms(value)[0] : null;
+  }
+  
+  if (!translation) {
+    return null;
+  }
+  
+  // Keep the writer's capitalisation and trailing punctuation/emoji
+  const cased = capitalized ? translation.charAt(0).toUpperCase() + translation.slice(1) : translation;
+  return suffix ? `${cased}${suffix}` : cased;
+}
+
+// Load team phrases from Redis into memory (lookups are synchronous)
+async function loadCustomPhrases() {
+  try {
+    if (redisClient && redisAvailable) {
+      const stored = await redisClient.hGetAll('phrases:custom');
+      customPhrases.clear();
+      for (const [key, value] of Object.entries(stored || {})) {
+        customPhrases.set(key, JSON.parse(value));
+      }
+      console.log(`💬 Loaded ${customPhrases.size} team phrases from Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for team phrases, using memory only');
+  }
+}
+
+// Add or replace a team phrase ({ lang: translation })
+async function saveCustomPhrase(phrase, translations, userId) {
+  const { key } = splitPhrase(phrase);
+  const entry = { phrase: key, translations, addedBy: userId };
+  customPhrases.set(key, entry);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.hSet('phrases:custom', key, JSON.stringify(entry));
+      console.log(`💾 Saved team phrase '${key}' to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for team phrases, using memory only');
+  }
+  
+  return entry;
+}
+
+// Remove a team phrase, returns false if it did not exist
+async function removeCustomPhrase(phrase) {
+  const { key } = splitPhrase(phrase);
+  const existed = customPhrases.delete(key);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      return (await redisClient.hDel('phrases:custom', key)) > 0 || existed;
+    }
+  } catch (error) {
+    console.log('Redis not available for team phrases, using memory only');
+  }
+  
+  return existed;
+}
+
+// Detect language using translation with null target to get detected source
+async function detectLanguage(text) {
+  const cacheKey = buildTranslationCacheKey(text, 'detect');
+  const cached = await getCachedTranslation(cacheKey);
+  if (cached) {
+    await recordUsage({ cache_hits: 1 });
+    return cached;
+  }
+  
+  // First try local detection (no API call)
+  const local = detectLanguageLocal(text);
+  if (local.lang && local.confidence >= LANGUAGE_DETECTION_MIN_CONFIDENCE) {
+    console.log(`💡 Local language detection: ${local.lang} (${Math.round(local.confidence * 100)}% confidence, no API call)`);
+    await setCachedTranslation(cacheKey, local.lang);
+    return local.lang;
+  }
+  
+  try {
+    // Only use API when local detection is unsure
+    await assertWithinBudget({}, text.length);
+    console.log(`🔍 Using ${translationProvider.label} for language detection: "${text.substring(0, 30)}..." (local guess ${local.lang || 'none'} at ${Math.round(local.confidence * 100)}%)`);
+    const langCode = await translationProvider.detect(text);
+    await recordUsage({ api_calls: 1, characters: text.length });
+    await setCachedTranslation(cacheKey, langCode);
+    return langCode;
+  } catch (error) {
+    // No silent fallback - guessing a language here leads to wrong translations
+    console.error('Language detection error:', error.message);
+    throw error;
+  }
+}
+
+// Slack mrkdwn protection - mentions, channel links, special mentions (<!here>), bare links,
+// :emoji: codes (including :+1:, :100: and runs like :wave::skin-tone-2:) and code spans are swapped
+// for <m i="N"/> tags that DeepL ignores. An emoji code must start the text or follow a space or
+// punctuation, so times (10:30:) and prose like key:value: stay translatable.
+// Labelled links <url|label> become <a i="N">label</a> so only the label is translated.
+// Slack already escapes &, < and > in message text, so the result is valid XML as it stands;
+// raw text such as file contents must go through escapeSlackText() first.
+const SLACK_MARKUP_PATTERN = /```[\s\S]*?```|`[^`\n]+`|<([^<>|\s]+)\|([^<>]+)>|<[^<>\s]+>|(?<![\w:])(?::[a-z0-9_+'-]+:)+/gi;
+const SLACK_MARKUP_IGNORE_TAG = 'm';
+
+function protectSlackMarkup(text) {
+  const tokens = [];
+  const protectedText = text.replace(SLACK_MARKUP_PATTERN, (match, url, label) => {
+    const index = tokens.length;
+    // Mentions and channel links carry a display name, not prose - keep them whole
+    if (url && label && !/^[@#!]/.test(url) && label.trim()) {
+      tokens.push({ url, label });
+      return `<a i="${index}">${label}</a>`;
+    }
+    tokens.push({ value: match });
+    return `<${SLACK_MARKUP_IGNORE_TAG} i="${index}"/>`;
+  });
+  
+  return { text: protectedText, tokens };
+}
+
+// Put the protected tokens back; any the provider dropped are appended so no mention is lost
+function restoreSlackMarkup(translated, tokens) {
+  const restored = new Set();
+  let output = translated
+    .replace(/<a i="(\d+)">([\s\S]*?)<\/a>/g, (match, index, label) => {
+      const token = tokens[index];
+      if (!token || !token.url) return label;
+      restored.add(Number(index));
+      return `<${token.url}|${label.trim() || token.label}>`;
+    })
+    .replace(/<m i="(\d+)"\s*(?:\/>|><\/m>)/g, (match, index) => {
+      const token = tokens[index];
+      if (!token || token.url) return '';
+      restored.add(Number(index));
+      return token.value;
+    });
+  
+  const missing = tokens
+    .filter((token, index) => !restored.has(index))
+    .map(token => (token.url ? `<${token.url}|${token.label}>` : token.value));
+  if (missing.length > 0) {
+    output = `${output.trimEnd()} ${missing.join(' ')}`;
+  }
+  
+  return output;
+}
+
+// Translate text using DeepL
+// Slack markup is protected via protectSlackMarkup(), so any caller can pass raw message text
+// options.channelId enables that channel's glossary for the language pair
+// options.formality is 'formal', 'informal' or 'default' (ignored where DeepL has no formality)
+// options.userId attributes usage to the user who wrote or requested the text
+async function translateText(text, targetLang, sourceLang = null, options = {}) {
+  const [translated] = await translateTexts([text], targetLang, sourceLang, options);
+  return translated;
+}
+
+// DeepL accepts at most 50 texts and 128 KiB per request; leave headroom for the other parameters
+const TRANSLATE_BATCH_MAX_TEXTS = 50;
+const TRANSLATE_BATCH_MAX_BYTES = 120 * 1024;
+
+// Split texts into request-sized batches of positions, keeping their order
+function batchTranslationRequests(texts) {
+  const batches = [];
+  let batch = [];
+  let bytes = 0;
+  for (const [position, text] of texts.entries()) {
+    const size = Buffer.byteLength(text, 'utf8');
+    if (batch.length > 0 && (batch.length >= TRANSLATE_BATCH_MAX_TEXTS || bytes + size > TRANSLATE_BATCH_MAX_BYTES)) {
+      batches.push(batch);
+      batch = [];
+      bytes = 0;
+    }
+    batch.push(position);
+    bytes += size;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+  return batches;
+}
+
+// Translate several strings with as few provider calls as possible (same options as translateText).
+// Glossary, common phrases and the cache are checked per string; only the misses are sent.
+async function translateTexts(texts, targetLang, sourceLang = null, options = {}) {
+  const formality = getDeepLFormality(targetLang, options.formality);
+  const usageContext = { channelId: options.channelId, userId: options.userId, targetLang };
+  
+  // Glossaries need a known source language
+  const glossary = options.channelId && sourceLang
+    ? await getChannelGlossary(options.channelId, getBaseLanguage(sourceLang), getBaseLanguage(targetLang))
+    : null;
+  const glossaryId = glossary ? glossary.glossaryId : null;
+  
+  const results = new Array(texts.length);
+  const pending = [];
+  for (const [index, text] of texts.entries()) {
+    // Blank strings (e.g. spacing between blocks) are not worth a round-trip
+    if (!text || !text.trim()) {
+      results[index] = text;
+      continue;
+    }
+    
+    // Check common phrases first (no API call) - a channel glossary takes precedence
+    const commonTranslation = glossaryId ? null : getCommonPhraseTranslation(text, targetLang, sourceLang);
+    if (commonTranslation) {
+      console.log(`💡 Common phrase translation: "${text}" → "${commonTranslation}" (no API call)`);
+      await recordUsage({ common_phrases: 1 }, usageContext);
+      results[index] = commonTranslation;
+      continue;
+    }
+    
+    // Check cache second
+    let cacheKey = buildTranslationCacheKey(text, targetLang, sourceLang);
+    if (formality !== 'default') {
+      cacheKey += `:formality:${formality}`;
+    }
+    if (glossaryId) {
+      cacheKey += `:glossary:${options.channelId}`;
+    }
+    const cached = await getCachedTranslation(cacheKey);
+    if (cached) {
+      await recordUsage({ cache_hits: 1 }, usageContext);
+      results[index] = cached;
+      continue;
+    }
+    
+    pending.push({ index, text, cacheKey });
+  }
+  
+  if (pending.length === 0) {
+    return results;
+  }
+  
+  // Mentions, links, emoji and code travel as XML ignore tags
+  const markups = pending.map(({ text }) => protectSlackMarkup(text));
+  const hasMarkup = markups.some(markup => markup.tokens.length > 0);
+  const characters = markups.reduce((sum, markup) => sum + markup.text.length, 0);
+  
+  // Over budget: degrade to cache and common phrases only
+  await assertWithinBudget(usageContext, characters);
+  
+  try {
+    const more = pending.length > 1 ? ` +${pending.length - 1} more` : '';
+    console.log(`🌍 ${translationProvider.label} translation: "${pending[0].text.substring(0, 30)}..."${more} (${sourceLang || 'auto'} → ${targetLang})`);
+    
+    const targetCode = toDeepLTargetCode(targetLang);
+    const requestTexts = markups.map(markup => markup.text);
+    
+    // Large batches go out in several requests, merged back by position
+    const result = new Array(requestTexts.length);
+    for (const batch of batchTranslationRequests(requestTexts)) {
+      const batchTexts = batch.map(position => requestTexts[position]);
+      const translated = await translationProvider.translate(
+        batchTexts,
+        sourceLang ? getBaseLanguage(sourceLang) : null,
+        targetCode,
+        {
+          preserveFormatting: true,
+          formality,
+          splitSentences: 'nonewlines',
+          ...(hasMarkup ? { tagHandling: 'xml', ignoreTags: [SLACK_MARKUP_IGNORE_TAG] } : {}),
+          ...(glossaryId ? { glossary: glossaryId } : {})
+        }
+      );
+      
+      batch.forEach((position, offset) => {
+        result[position] = translated[offset];
+      });
+      await recordUsage({ api_calls: 1, characters: batchTexts.reduce((sum, text) => sum + text.length, 0) }, usageContext);
+    }
+    
+    for (const [position, { index, text, cacheKey }] of pending.entries()) {
+      const { tokens } = markups[position];
+      const translated = tokens.length > 0
+        ? restoreSlackMarkup(result[position].text, tokens)
+        : result[position].text;
+      
+      // Cache the result
+      await setCachedTranslation(cacheKey, translated);
+      
+      // Track usage for smart caching (glossary and formality results are not shared)
+      if (!glossaryId && formality === 'default') {
+        trackTranslationUsage(text, targetLang, translated, sourceLang);
+      }
+      
+      results[index] = translated;
+    }
+    
+    return results;
+  } catch (error) {
+    if (error instanceof deepl.QuotaExceededError) {
+      providerQuotaExhausted = true;
+      await alertBudget('provider', 'cap', `🛑 ${translationProvider.label} character quota exceeded. Only cached translations and common phrases are served until it resets.`);
+      throw new TranslationBudgetError('provider', `${translationProvider.label} character quota is used up - only cached translations and common phrases are available`);
+    }
+    if (!(error instanceof ProviderUnavailableError)) {
+      console.error('Translation error:', error);
+    }
+    throw error;
+  }
+}
+
+// Get user's preferred language
+async function getUserLanguage(userId) {
+  console.log(`🔍 getUserLanguage called for userId: ${userId}`);
+  
+  if (userPreferences.has(userId)) {
+    console.log(`📋 Found user ${userId} in memory cache`);
+    return userPreferences.get(userId);
+  }
+  
+  console.log(`📋 User ${userId} not in memory, checking Redis...`);
+  try {
+    if (redisClient && redisAvailable) {
+      console.log(`📋 Redis is open, querying for user:${userId}:lang`);
+      const lang = await redisClient.get(`user:${userId}:lang`);
+      console.log(`📋 Redis returned: ${lang}`);
+      if (lang) {
+        userPreferences.set(userId, lang);
+        console.log(`📋 Cached user ${userId} language: ${lang}`);
+        return lang;
+      }
+    }
+    console.log(`📋 Redis not available or no language found for user ${userId}`);
+  } catch (error) {
+    console.log('Redis not available for user preferences');
+    console.error('📋 Redis error details:', error);
+  }
+  
+  console.log(`📋 Defaulting user ${userId} to English`);
+  return 'en'; // Default
+}
+
+// Batch lookup of stored preferences: memory first, one Redis MGET for the rest
+// memoryKey/redisKey map an id to its key in memoryCache and Redis; misses get fallback
+async function getPreferencesBatch(ids, memoryCache, memoryKey, redisKey, fallback) {
+  const results = {};
+  const missing = [];
+  
+  for (const id of ids) {
+    if (memoryCache.has(memoryKey(id))) {
+      results[id] = memoryCache.get(memoryKey(id));
+    } else {
+      missing.push(id);
+    }
+  }
+  
+  try {
+    if (missing.length > 0 && redisClient && redisAvailable) {
+      const values = await redisClient.mGet(missing.map(redisKey));
+      missing.forEach((id, index) => {
+        if (values[index]) {
+          memoryCache.set(memoryKey(id), values[index]);
+          results[id] = values[index];
+        }
+      });
+    }
+  } catch (error) {
+    console.log('Redis not available for batch preference lookup');
+  }
+  
+  for (const id of missing) {
+    if (!(id in results)) {
+      results[id] = fallback;
+    }
+  }
+  
+  return results;
+}
+
+// Get preferred languages for many users at once (userId -> lang)
+async function getUserLanguages(userIds) {
+  return getPreferencesBatch(userIds, userPreferences, id => id, id => `user:${id}:lang`, 'en');
+}
+
+// Get auto-translation modes for many users at once (userId -> mode)
+async function getUserAutoTranslateModes(userIds) {
+  return getPreferencesBatch(userIds, autoTranslatePreferences, id => id, id => `user:${id}:auto`, 'on');
+}
+
+// Get the languages each user also reads, besides their own (userId -> [lang])
+async function getUserSecondaryLanguages(userIds) {
+  const stored = await getPreferencesBatch(userIds, secondaryLanguagePreferences, id => id, id => `user:${id}:secondary`, '');
+  return Object.fromEntries(Object.entries(stored).map(([userId, langs]) => [userId, langs.split(',').filter(Boolean)]));
+}
+
+// Set the languages a user also reads - messages in these are not translated for them
+async function setUserSecondaryLanguages(userId, langs) {
+  const value = langs.join(',');
+  secondaryLanguagePreferences.set(userId, value);
+  console.log(`💾 Set user ${userId} secondary languages to ${value || 'none'}`);
+  try {
+    if (redisClient && redisAvailable) {
+      if (value) {
+        await redisClient.set(`user:${userId}:secondary`, value);
+      } else {
+        await redisClient.del(`user:${userId}:secondary`);
+      }
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for user preferences, using memory only');
+  }
+}
+
+// Set user's auto-translation mode
+async function setUserAutoTranslateMode(userId, mode) {
+  autoTranslatePreferences.set(userId, mode);
+  console.log(`💾 Set user ${userId} auto-translation to ${mode}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(`user:${userId}:auto`, mode);
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for user preferences, using memory only');
+  }
+}
+
+// Get the users who muted auto-translation in a channel
+async function getChannelMutedUsers(channelId) {
+  if (channelMutes.has(channelId)) {
+    return channelMutes.get(channelId);
+  }
+  
+  let muted = new Set();
+  try {
+    if (redisClient && redisAvailable) {
+      muted = new Set(await redisClient.sMembers(`channel:${channelId}:muted`));
+    }
+  } catch (error) {
+    console.log('Redis not available for channel mute list');
+  }
+  
+  channelMutes.set(channelId, muted);
+  return muted;
+}
+
+// Mute or unmute auto-translation for a user in one channel
+async function setChannelMuted(channelId, userId, muted) {
+  const mutedUsers = await getChannelMutedUsers(channelId);
+  if (muted) {
+    mutedUsers.add(userId);
+  } else {
+    mutedUsers.delete(userId);
+  }
+  console.log(`💾 ${muted ? 'Muted' : 'Unmuted'} channel ${channelId} for user ${userId}`);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      if (muted) {
+        await redisClient.sAdd(`channel:${channelId}:muted`, userId);
+      } else {
+        await redisClient.sRem(`channel:${channelId}:muted`, userId);
+      }
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for channel mute list, using memory only');
+  }
+}
+
+// Whether a reader wants this message auto-translated, given their mode
+function wantsAutoTranslation(mode, userId, message) {
+  switch (mode) {
+    case 'off':
+      return false;
+    case 'mentions':
+      return (message.text || '').includes(`<@${userId}>`);
+    case 'dms':
+      return message.channel_type === 'im' || message.channel_type === 'mpim';
+    default:
+      return true;
+  }
+}
+
+// Set user's preferred language
+// source is 'explicit' when the user chose it, 'inferred' for a provisional guess (see inferUserLanguage)
+async function setUserLanguage(userId, lang, source = 'explicit') {
+  userPreferences.set(userId, lang);
+  languageSources.set(userId, source);
+  console.log(`💾 Set user ${userId} language to ${lang}${source === 'inferred' ? ' (inferred)' : ''}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(`user:${userId}:lang`, lang);
+      if (source === 'inferred') {
+        await redisClient.set(`user:${userId}:lang_source`, source);
+      } else {
+        await redisClient.del(`user:${userId}:lang_source`);
+      }
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for user preferences, using memory only');
+  }
+}
+
+// Where a user's language came from: 'explicit', 'inferred' or 'none' (still on the default)
+async function getUserLanguageSource(userId) {
+  if (languageSources.has(userId)) {
+    return languageSources.get(userId);
+  }
+  
+  let source = userPreferences.has(userId) ? 'explicit' : 'none';
+  try {
+    if (redisClient && redisAvailable) {
+      const [lang, storedSource] = await redisClient.mGet([`user:${userId}:lang`, `user:${userId}:lang_source`]);
+      source = lang ? (storedSource || 'explicit') : 'none';
+      languageSources.set(userId, source);
+    }
+  } catch (error) {
+    console.log('Redis not available for user preferences');
+  }
+  
+  return source;
+}
+
+// Get channel's configured language (null when not set - callers fall back to detection)
+async function getChannelLanguage(channelId) {
+  // Check in-memory first
+  if (channelPreferences.has(channelId)) {
+    const lang = channelPreferences.get(channelId);
+    console.log(`📺 Channel ${channelId} language from memory: ${lang}`);
+    return lang;
+  }
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const lang = await redisClient.get(`channel:${channelId}:lang`);
+      if (lang) {
+        channelPreferences.set(channelId, lang);
+        console.log(`📺 Channel ${channelId} language from Redis: ${lang}`);
+        return lang;
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for channel preferences');
+  }
+  
+  console.log(`📺 Channel ${channelId} has no configured language`);
+  return null;
+}
+
+// Set channel's primary language
+async function setChannelLanguage(channelId, lang) {
+  channelPreferences.set(channelId, lang);
+  console.log(`💾 Set channel ${channelId} language to ${lang}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(`channel:${channelId}:lang`, lang);
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for channel preferences, using memory only');
+  }
+}
+
+// Get channel's translation mode (ephemeral unless configured)
+async function getChannelMode(channelId) {
+  if (channelModes.has(channelId)) {
+    return channelModes.get(channelId);
+  }
+  
+  let mode = 'ephemeral';
+  try {
+    if (redisClient && redisAvailable) {
+      mode = await redisClient.get(`channel:${channelId}:mode`) || 'ephemeral';
+    }
+  } catch (error) {
+    console.log('Redis not available for channel mode');
+  }
+  
+  channelModes.set(channelId, mode);
+  return mode;
+}
+
+// Set channel's translation mode
+async function setChannelMode(channelId, mode) {
+  channelModes.set(channelId, mode);
+  console.log(`💾 Set channel ${channelId} mode to ${mode}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(`channel:${channelId}:mode`, mode);
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for channel mode, using memory only');
+  }
+}
+
+// Whether files shared in the channel are translated automatically (off unless configured)
+async function getChannelFileTranslation(channelId) {
+  if (channelFileSettings.has(channelId)) {
+    return channelFileSettings.get(channelId) === 'on';
+  }
+  
+  let setting = 'off';
+  try {
+    if (redisClient && redisAvailable) {
+      setting = await redisClient.get(`channel:${channelId}:files`) || 'off';
+    }
+  } catch (error) {
+    console.log('Redis not available for channel file setting');
+  }
+  
+  channelFileSettings.set(channelId, setting);
+  return setting === 'on';
+}
+
+// Switch automatic file translation for a channel
+async function setChannelFileTranslation(channelId, enabled) {
+  const setting = enabled ? 'on' : 'off';
+  channelFileSettings.set(channelId, setting);
+  console.log(`💾 Set channel ${channelId} file translation ${setting}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(`channel:${channelId}:files`, setting);
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for channel file setting, using memory only');
+  }
+}
+
+// Clear channel's configured language (back to auto-detection)
+async function clearChannelLanguage(channelId) {
+  channelPreferences.delete(channelId);
+  channelDetectionCache.del(channelId);
+  console.log(`🗑️ Cleared channel ${channelId} language`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.del(`channel:${channelId}:lang`);
+      console.log(`🗑️ Also removed from Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for channel preferences, cleared memory only');
+  }
+}
+
+// Resolve the language to translate into for a channel: configured first, detected otherwise
+async function resolveChannelLanguage(client, channelId) {
+  const configuredLang = await getChannelLanguage(channelId);
+  if (configuredLang) {
+    return configuredLang;
+  }
+  
+  return detectChannelLanguage(client, channelId);
+}
+
+// Get formality preference for a user or channel (scope: 'user' | 'channel')
+async function getFormality(scope, id) {
+  const key = `${scope}:${id}:formality`;
+  if (formalityPreferences.has(key)) {
+    return formalityPreferences.get(key);
+  }
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const formality = await redisClient.get(key);
+      if (formality) {
+        formalityPreferences.set(key, formality);
+        return formality;
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for formality preferences');
+  }
+  
+  return 'default';
+}
+
+// Set formality preference for a user or channel (scope: 'user' | 'channel')
+async function setFormality(scope, id, formality) {
+  const key = `${scope}:${id}:formality`;
+  formalityPreferences.set(key, formality);
+  console.log(`💾 Set ${scope} ${id} formality to ${formality}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(key, formality);
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for formality preferences, using memory only');
+  }
+}
+
+// Whether /translate shows a draft to review before posting
+async function getUserPreviewMode(userId) {
+  if (previewPreferences.has(userId)) {
+    return previewPreferences.get(userId) === 'on';
+  }
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const mode = await redisClient.get(`user:${userId}:preview`);
+      if (mode) {
+        previewPreferences.set(userId, mode);
+        return mode === 'on';
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for preview preferences');
+  }
+  
+  return false;
+}
+
+async function setUserPreviewMode(userId, mode) {
+  previewPreferences.set(userId, mode);
+  console.log(`💾 Set user ${userId} /translate preview to ${mode}`);
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.set(`user:${userId}:preview`, mode);
+      console.log(`💾 Also saved to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for preview preferences, using memory only');
+  }
+}
+
+// Get formality preferences for many users at once (userId -> formality)
+async function getUserFormalities(userIds) {
+  const key = id => `user:${id}:formality`;
+  return getPreferencesBatch(userIds, formalityPreferences, key, key, 'default');
+}
+
+// Resolve formality for a translation: per-command override first, then the primary
+// scope's setting, then the other one. Posts into a channel follow the channel first,
+// translations shown to a reader follow the reader first.
+async function resolveFormality({ override, userId, channelId, channelFirst = false }) {
+  if (override) {
+    return override;
+  }
+  
+  const scopes = channelFirst
+    ? [['channel', channelId], ['user', userId]]
+    : [['user', userId], ['channel', channelId]];
+  
+  for (const [scope, id] of scopes) {
+    if (!id) continue;
+    const formality = await getFormality(scope, id);
+    if (formality !== 'default') {
+      return formality;
+    }
+  }
+  
+  return 'default';
+}
+
+// Store message language
+async function storeMessageLanguage(channel, ts, language) {
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.setEx(
+        `msg:${channel}:${ts}:lang`,
+        604800, // 7 days
+        language
+      );
+    }
+  } catch (error) {
+    console.log('Redis not available for message language storage');
+  }
+}
+
+// Record the language of a thread reply so later replies can follow the thread
+async function storeThreadReplyLanguage(channel, threadTs, language) {
+  try {
+    if (redisClient && redisAvailable) {
+      const key = `thread:${channel}:${threadTs}:langs`;
+      await redisClient.hIncrBy(key, language, 1);
+      await redisClient.expire(key, 604800); // 7 days
+    }
+  } catch (error) {
+    console.log('Redis not available for thread reply language storage');
+  }
+}
+
+// Get thread language (most common reply language, else the parent message's language)
+async function getThreadLanguage(channel, threadTs) {
+  if (!threadTs) return null;
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const replyLangs = await redisClient.hGetAll(`thread:${channel}:${threadTs}:langs`);
+      const ranked = Object.entries(replyLangs || {})
+        .sort(([,a], [,b]) => Number(b) - Number(a));
+      if (ranked.length > 0) {
+        return ranked[0][0];
+      }
+      
+      return await redisClient.get(`msg:${channel}:${threadTs}:lang`);
+    }
+  } catch (error) {
+    console.log('Redis not available for thread language');
+  }
+  
+  return null;
+}
+
+// Get a channel's glossary for one language pair
+async function getChannelGlossary(channelId, sourceLang, targetLang) {
+  const pairKey = `${channelId}:${sourceLang}:${targetLang}`;
+  if (channelGlossaries.has(pairKey)) {
+    return channelGlossaries.get(pairKey);
+  }
+
+  let glossary = { entries: {}, glossaryId: null };
+  try {
+    if (redisClient && redisAvailable) {
+      const [entries, glossaryId] = await Promise.all([
+        redisClient.hGetAll(`glossary:${pairKey}:entries`),
+        redisClient.get(`glossary:${pairKey}:id`)
+      ]);
+      glossary = { entries: entries || {}, glossaryId };
+    }
+  } catch (error) {
+    console.log('Redis not available for glossary lookup');
+  }
+
+  channelGlossaries.set(pairKey, glossary);
+  return glossary;
+}
+
+// List the language pairs that have a glossary in a channel (e.g. ['en:de'])
+async function getChannelGlossaryPairs(channelId) {
+  const pairs = new Set();
+
+  for (const [pairKey, glossary] of channelGlossaries) {
+    if (pairKey.startsWith(`${channelId}:`) && Object.keys(glossary.entries).length > 0) {
+      pairs.add(pairKey.substring(channelId.length + 1));
+    }
+  }
+
+  try {
+    if (redisClient && redisAvailable) {
+      const stored = await redisClient.sMembers(`glossary:${channelId}:pairs`);
+      stored.forEach(pair => pairs.add(pair));
+    }
+  } catch (error) {
+    console.log('Redis not available for glossary pairs');
+  }
+
+  return Array.from(pairs).sort();
+}
+
+// Drop cached translations produced with a channel glossary (both cache tiers)
+// Keys are tr:<hash>:<target>:<source>:...; regional targets (pt-br) share their base language's glossary
+async function invalidateGlossaryCache(channelId, sourceLang, targetLang) {
+  const count = await deleteCachedTranslations(key => {
+    if (!key.endsWith(`:glossary:${channelId}`)) return false;
+    const [, , keyTarget, keySource] = key.split(':');
+    return getBaseLanguage(keyTarget) === targetLang && getBaseLanguage(keySource) === sourceLang;
+  });
+  console.log(`🧹 Invalidated ${count} cached translations for glossary ${channelId} ${sourceLang}→${targetLang}`);
+}
+
+// Save a channel glossary and sync it to the translation provider
+// DeepL glossaries are immutable, so every edit creates a new one and deletes the old one
+async function saveChannelGlossary(channelId, sourceLang, targetLang, entries) {
+  const pairKey = `${channelId}:${sourceLang}:${targetLang}`;
+  const previous = await getChannelGlossary(channelId, sourceLang, targetLang);
+
+  let glossaryId = null;
+  if (Object.keys(entries).length > 0) {
+    glossaryId = await translationProvider.createGlossary(
+      `slacklator-${pairKey}`,
+      sourceLang,
+      targetLang,
+      entries
+    );
+    console.log(`📘 Synced glossary ${pairKey} (${Object.keys(entries).length} terms) as ${glossaryId}`);
+  }
+
+  if (previous.glossaryId) {
+    try {
+      await translationProvider.deleteGlossary(previous.glossaryId);
+    } catch (error) {
+      console.log(`⚠️  Could not delete old glossary ${previous.glossaryId}: ${error.message}`);
+    }
+  }
+
+  channelGlossaries.set(pairKey, { entries, glossaryId });
+  await invalidateGlossaryCache(channelId, sourceLang, targetLang);
+
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.del(`glossary:${pairKey}:entries`);
+      if (glossaryId) {
+        await redisClient.hSet(`glossary:${pairKey}:entries`, entries);
+        await redisClient.set(`glossary:${pairKey}:id`, glossaryId);
+        await redisClient.sAdd(`glossary:${channelId}:pairs`, `${sourceLang}:${targetLang}`);
+      } else {
+        await redisClient.del(`glossary:${pairKey}:id`);
+        await redisClient.sRem(`glossary:${channelId}:pairs`, `${sourceLang}:${targetLang}`);
+      }
+      console.log(`💾 Also saved glossary to Redis`);
+    }
+  } catch (error) {
+    console.log('Redis not available for glossary storage, using memory only');
+  }
+}
+
+// Parse glossary import text: one "term = translation" (or tab/comma separated) pair per line or ';'
+function parseGlossaryEntries(text) {
+  const entries = {};
+
+  for (const line of text.split(/\n|;/)) {
+    const separator = ['=', '\t', ','].find(sep => line.includes(sep));
+    if (!separator) continue;
+
+    const index = line.indexOf(separator);
+    const source = line.substring(0, index).trim();
+    const target = line.substring(index + 1).trim();
+    if (source && target) {
+      entries[source] = target;
+    }
+  }
+
+  return entries;
+}
+
+// Most common language among human messages (null when none are long enough to judge)
+async function detectLanguageFromMessages(messages) {
+  const langCounts = {};
+  let analyzed = 0;
+  
+  for (const msg of messages) {
+    if (msg.text && !msg.bot_id && msg.text.length > 10) {
+      try {
+        const lang = await detectLanguage(msg.text);
+        langCounts[lang] = (langCounts[lang] || 0) + 1;
+        analyzed++;
+        console.log(`📝 Message "${msg.text.substring(0, 30)}..." detected as: ${lang}`);
+      } catch (error) {
+        console.log(`⚠️ Skipping undetectable message: ${error.message}`);
+      }
+    }
+  }
+  
+  if (analyzed === 0) {
+    return null;
+  }
+  
+  return Object.entries(langCounts)
+    .sort(([,a], [,b]) => b - a)[0][0];
+}
+
+// Detect thread language from its most recent replies (used when nothing was recorded).
+// conversations.replies lists oldest first, so page to the end of the thread and keep the last few;
+// a thread without replies falls back to its parent message.
+const THREAD_DETECTION_REPLIES = 5;
+
+async function detectThreadLanguage(client, channelId, threadTs) {
+  try {
+    let messages = [];
+    let cursor;
+    do {
+      const page = await client.conversations.replies({
+        channel: channelId,
+        ts: threadTs,
+        limit: 200,
+        cursor
+      });
+      messages = messages.concat(page.messages || []).slice(-(THREAD_DETECTION_REPLIES + 1));
+      cursor = page.response_metadata && page.response_metadata.next_cursor;
+    } while (cursor);
+    
+    const replies = messages.filter(msg => msg.ts !== threadTs);
+    const threadLang = await detectLanguageFromMessages(
+      replies.length > 0 ? replies.slice(-THREAD_DETECTION_REPLIES) : messages
+    );
+    console.log(`🧵 Thread ${threadTs} language detected: ${threadLang || 'unknown'}`);
+    return threadLang;
+  } catch (error) {
+    console.error('❌ Error detecting thread language:', error);
+    return null;
+  }
+}
+
+// Resolve the language to reply in for a thread: recorded, detected, then the channel's
+async function resolveThreadLanguage(client, channelId, threadTs) {
+  const threadLang = await getThreadLanguage(channelId, threadTs)
+    || await detectThreadLanguage(client, channelId, threadTs);
+  if (threadLang) {
+    return threadLang;
+  }
+  
+  return resolveChannelLanguage(client, channelId);
+}
+
+// Compact multi-language block for threaded and posted channel modes (author is mrkdwn, e.g. a mention)
+function buildMultiLanguageBlocks(author, sourceLang, translations, edited = false) {
+  return [
+    {
+      type: "context",
+      elements: [
+        {
+          type: "mrkdwn",
+          text: `🌐 ${author} · translated from ${sourceLang.toUpperCase()}${edited ? ' · edited' : ''}`
+        }
+      ]
+    },
+    ...translations.map(({ lang, translated }) => ({
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `*${lang.toUpperCase()}:* ${translated.substring(0, 2900)}`
+      }
+    }))
+  ];
+}
+
+// Get all channel members, following pagination
+async function getChannelMembers(client, channelId) {
+  const members = [];
+  let cursor;
+  
+  do {
+    const page = await client.conversations.members({
+      channel: channelId,
+      limit: 1000,
+      cursor
+    });
+    members.push(...page.members);
+    cursor = page.response_metadata && page.response_metadata.next_cursor;
+  } while (cursor);
+  
+  return members;
+}
+
+// Run an async worker over items with at most `limit` running at the same time
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const item = items[next++];
+      await worker(item);
+    }
+  });
+  await Promise.all(runners);
+}
+
+// Detect channel language from recent messages
+// Results are cached per channel; pass useCache = false to force a fresh look at the history
+async function detectChannelLanguage(client, channelId, useCache = true) {
+  if (useCache) {
+    const cached = channelDetectionCache.get(channelId);
+    if (cached) {
+      console.log(`📺 Channel ${channelId} detected language from cache: ${cached}`);
+      return cached;
+    }
+  }
+  
+  try {
+    console.log(`🔍 Detecting channel language from recent messages (cost-optimized)...`);
+    
+    const history = await client.conversations.history({
+      channel: channelId,
+      limit: 3 // Reduced from 10 to 3 for cost optimization
+    });
+    
+    const primaryLang = await detectLanguageFromMessages(history.messages);
+    if (!primaryLang) {
+      console.log(`❌ No messages found, defaulting to English`);
+      return 'en';
+    }
+    
+    console.log(`✅ Channel language detected: ${primaryLang} (cost-optimized)`);
+    channelDetectionCache.set(channelId, primaryLang);
+    return primaryLang;
+    
+  } catch (error) {
+    console.error('❌ Error detecting channel language:', error);
+    return 'en'; // Default fallback
+  }
+}
+
+// Store original message for /translate commands
+// edited marks a translation the author changed in the /translate preview before posting
+async function storeOriginalMessage(channel, messageTs, originalText, detectedLang, translatedText, channelLang, edited = false) {
+  const originalData = {
+    original: originalText,
+    originalLang: detectedLang,
+    translated: translatedText,
+    translatedLang: channelLang,
+    edited,
+    timestamp: Date.now()
+  };
+  
+  const cacheKey = `original:${channel}:${messageTs}`;
+  originalMessageCache.set(cacheKey, originalData);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.setEx(cacheKey, 604800, JSON.stringify(originalData)); // 7 days
+      console.log(`💾 Stored original message for ${messageTs}`);
+    }
+  } catch (error) {
+    console.log('Redis not available for original message storage');
+  }
+}
+
+// Keep stored original data in step when a /translate post changes
+async function updateOriginalMessage(channel, messageTs, changes) {
+  const originalData = await getOriginalMessage(channel, messageTs);
+  if (!originalData) {
+    return null;
+  }
+  
+  const updated = { ...originalData, ...changes, updatedAt: Date.now() };
+  const cacheKey = `original:${channel}:${messageTs}`;
+  originalMessageCache.set(cacheKey, updated);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const ttl = await redisClient.ttl(cacheKey);
+      await redisClient.setEx(cacheKey, ttl > 0 ? ttl : 604800, JSON.stringify(updated));
+    }
+  } catch (error) {
+    console.log('Redis not available for original message storage');
+  }
+  
+  return updated;
+}
+
+// Purge stored original data, returns false if there was none
+async function deleteOriginalMessage(channel, messageTs) {
+  const cacheKey = `original:${channel}:${messageTs}`;
+  let existed = originalMessageCache.del(cacheKey) > 0;
+  
+  try {
+    if (redisClient && redisAvailable) {
+      existed = (await redisClient.del(cacheKey)) > 0 || existed;
+    }
+  } catch (error) {
+    console.log('Redis not available for original message removal');
+  }
+  
+  return existed;
+}
+
+// Remember the translation post made for a source message
+async function recordTranslationPost(channel, sourceTs, postTs) {
+  const cacheKey = `post:${channel}:${sourceTs}`;
+  translationPostCache.set(cacheKey, postTs);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.setEx(cacheKey, 604800, postTs); // 7 days
+    }
+  } catch (error) {
+    console.log('Redis not available for translation post storage');
+  }
+}
+
+async function getTranslationPost(channel, sourceTs) {
+  const cacheKey = `post:${channel}:${sourceTs}`;
+  const cached = translationPostCache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const postTs = await redisClient.get(cacheKey);
+      if (postTs) {
+        translationPostCache.set(cacheKey, postTs);
+        return postTs;
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for translation post lookup');
+  }
+  
+  return null;
+}
+
+async function forgetTranslationPost(channel, sourceTs) {
+  const cacheKey = `post:${channel}:${sourceTs}`;
+  translationPostCache.del(cacheKey);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.del(cacheKey);
+    }
+  } catch (error) {
+    console.log('Redis not available for translation post removal');
+  }
+}
+
+// Metadata attached to our posts (kind: 'translation' | 'translate-command')
+function buildProvenanceMetadata(kind, sourceTs = null) {
+  return {
+    event_type: PROVENANCE_EVENT_TYPE,
+    event_payload: { kind, ...(sourceTs ? { source_ts: sourceTs } : {}) }
+  };
+}
+
+// Register a message the bot posted
+async function recordBotPost(channel, messageTs, kind) {
+  const cacheKey = `provenance:${channel}:${messageTs}`;
+  botPostRegistry.set(cacheKey, kind);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      await redisClient.setEx(cacheKey, 604800, kind); // 7 days
+    }
+  } catch (error) {
+    console.log('Redis not available for provenance registry');
+  }
+}
+
+// True when the message was posted by Slacklator - this install (registry) or another one (metadata)
+async function isBotPost(message) {
+  if (message.metadata && message.metadata.event_type === PROVENANCE_EVENT_TYPE) {
+    return true;
+  }
+  
+  const cacheKey = `provenance:${message.channel}:${message.ts}`;
+  if (botPostRegistry.has(cacheKey)) {
+    return true;
+  }
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const kind = await redisClient.get(cacheKey);
+      if (kind) {
+        botPostRegistry.set(cacheKey, kind);
+        return true;
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for provenance lookup');
+  }
+  
+  return false;
+}
+
+// Get original message data
+async function getOriginalMessage(channel, messageTs) {
+  const cacheKey = `original:${channel}:${messageTs}`;
+  
+  // Check memory first
+  const cached = originalMessageCache.get(cacheKey);
+  if (cached) {
+    console.log(`📖 Found original message in memory for ${messageTs}`);
+    return cached;
+  }
+  
+  // Check Redis
+  try {
+    if (redisClient && redisAvailable) {
+      const stored = await redisClient.get(cacheKey);
+      if (stored) {
+        const originalData = JSON.parse(stored);
+        originalMessageCache.set(cacheKey, originalData);
+        console.log(`📖 Found original message in Redis for ${messageTs}`);
+        return originalData;
+      }
+    }
+  } catch (error) {
+    console.log('Redis not available for original message retrieval');
+  }
+  
+  return null;
+}
+
+// Rich messages - strings are pulled out of section, context, header and rich_text blocks and
+// legacy attachments, translated in one batch and put back. mapMessageContent() walks the
+// message in a fixed order and hands every translatable string to fn; the same walk with
+// fn returning the translations rebuilds the message for display.
+const DISPLAY_BLOCK_LIMIT = 49; // Slack allows 50 blocks, one is used for the translation header
+
+// Slack escapes &, < and > in mrkdwn; plain_text and rich text elements carry them raw
+function escapeSlackText(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeSlackText(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+// Text objects: mrkdwn goes through as is, plain_text is escaped for the trip and back
+function mapTextObject(textObject, fn) {
+  if (!textObject || typeof textObject.text !== 'string') {
+    return textObject;
+  }
+  const text = textObject.type === 'plain_text'
+    ? unescapeSlackText(fn(escapeSlackText(textObject.text)))
+    : fn(textObject.text);
+  return { ...textObject, text };
+}
+
+// Wrap styled text in mrkdwn markers, keeping surrounding spaces outside them
+function styleRichText(text, style = {}) {
+  const [, before, core, after] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  if (!core) {
+    return text;
+  }
+  let styled = core;
+  if (style.code) return `${before}\`${styled}\`${after}`;
+  if (style.bold) styled = `*${styled}*`;
+  if (style.italic) styled = `_${styled}_`;
+  if (style.strike) styled = `~${styled}~`;
+  return `${before}${styled}${after}`;
+}
+
+// Flatten rich_text elements into mrkdwn so mentions, links and emoji are protected like message text
+function richTextToMrkdwn(elements = []) {
+  return elements.map(element => {
+    switch (element.type) {
+      case 'text':
+        return styleRichText(escapeSlackText(element.text), element.style);
+      case 'link':
+        return element.text ? `<${element.url}|${escapeSlackText(element.text)}>` : `<${element.url}>`;
+      case 'user':
+        return `<@${element.user_id}>`;
+      case 'usergroup':
+        return `<!subteam^${element.usergroup_id}>`;
+      case 'channel':
+        return `<#${element.channel_id}>`;
+      case 'broadcast':
+        return `<!${element.range}>`;
+      case 'emoji':
+        return `:${element.name}:`;
+      case 'date':
+        return element.fallback || '';
+      default:
+        return element.text || '';
+    }
+  }).join('');
+}
+
+// A rich_text block is displayed as mrkdwn sections - quotes and lists keep their markers,
+// preformatted code is never translated
+function mapRichTextBlock(block, fn) {
+  const lines = (block.elements || []).map(element => {
+    switch (element.type) {
+      case 'rich_text_section':
+        return fn(richTextToMrkdwn(element.elements));
+      case 'rich_text_quote':
+        return fn(richTextToMrkdwn(element.elements)).split('\n').map(line => `> ${line}`).join('\n');
+      case 'rich_text_list':
+        return (element.elements || []).map((item, index) => {
+          const indent = '    '.repeat(element.indent || 0);
+          const marker = element.style === 'ordered' ? `${(element.offset || 0) + index + 1}.` : '•';
+          return `${indent}${marker} ${fn(richTextToMrkdwn(item.elements))}`;
+        }).join('\n');
+      case 'rich_text_preformatted':
+        return `\`\`\`${richTextToMrkdwn(element.elements)}\`\`\``;
+      default:
+        return '';
+    }
+  }).filter(line => line.trim());
+  
+  return lines.length > 0
+    ? [{ type: "section", text: { type: "mrkdwn", text: lines.join('\n') } }]
+    : [];
+}
+
+// Interactive elements belong to the app that posted them, so only image accessories are kept
+function mapBlock(block, fn) {
+  switch (block.type) {
+    case 'section': {
+      const { accessory, ...section } = block;
+      return [{
+        ...section,
+        ...(block.text ? { text: mapTextObject(block.text, fn) } : {}),
+        ...(block.fields ? { fields: block.fields.map(field => mapTextObject(field, fn)) } : {}),
+        ...(accessory && accessory.type === 'image' ? { accessory } : {})
+      }];
+    }
+    case 'context':
+      return [{
+        ...block,
+        elements: (block.elements || []).map(element =>
+          element.type === 'mrkdwn' || element.type === 'plain_text' ? mapTextObject(element, fn) : element
+        )
+      }];
+    case 'header':
+      return [{ ...block, text: mapTextObject(block.text, fn) }];
+    case 'rich_text':
+      return mapRichTextBlock(block, fn);
+    case 'image':
+    case 'divider':
+      return [block];
+    default:
+      return [];
+  }
+}
+
+// Legacy attachments: pretext, title, text and fields are translated, buttons are dropped
+function mapAttachment(attachment, fn) {
+  const { actions, callback_id, ...rest } = attachment;
+  const mapString = value => (typeof value === 'string' && value ? fn(value) : value);
+  return {
+    ...rest,
+    pretext: mapString(attachment.pretext),
+    title: mapString(attachment.title),
+    text: mapString(attachment.text),
+    ...(attachment.fields ? {
+      fields: attachment.fields.map(field => ({ ...field, title: mapString(field.title), value: mapString(field.value) }))
+    } : {}),
+    ...(attachment.blocks ? { blocks: attachment.blocks.flatMap(block => mapBlock(block, fn)) } : {})
+  };
+}
+
+function mapMessageContent(message, fn) {
+  return {
+    blocks: (message.blocks || []).flatMap(block => mapBlock(block, fn)),
+    attachments: (message.attachments || []).map(attachment => mapAttachment(attachment, fn))
+  };
+}
+
+// Messages people type carry a rich_text copy of their text, so the text alone is enough;
+// anything else (app messages, attachments, blocks without text) is treated as structured
+function isStructuredMessage(message) {
+  const blocks = message.blocks || [];
+  return (message.attachments || []).length > 0 ||
+    blocks.some(block => block.type !== 'rich_text') ||
+    (!message.text && blocks.length > 0);
+}
+
+// The strings to translate and a plain-text view of them for detection, logs and summaries
+function getMessageContent(message) {
+  if (!isStructuredMessage(message)) {
+    const segments = message.text ? [message.text] : [];
+    return { structured: false, segments, text: message.text || '' };
+  }
+  
+  const segments = [];
+  mapMessageContent(message, text => {
+    segments.push(text);
+    return text;
+  });
+  const text = segments.filter(segment => segment.trim()).join('\n');
+  return { structured: true, segments: text ? segments : [], text };
+}
+
+// Rebuild a structured message from its translated segments (same order as getMessageContent)
+function buildTranslatedContent(message, translatedSegments) {
+  let position = 0;
+  const { blocks, attachments } = mapMessageContent(message, () => translatedSegments[position++]);
+  return { blocks: blocks.slice(0, DISPLAY_BLOCK_LIMIT), attachments };
+}
+
+// Translate a message's content once into targetLang: { text, blocks, attachments }
+// (blocks/attachments only for structured messages)
+async function translateMessageContent(message, content, targetLang, sourceLang, options) {
+  const translatedSegments = await translateTexts(content.segments, targetLang, sourceLang, options);
+  if (!content.structured) {
+    return { text: translatedSegments[0] };
+  }
+  return {
+    text: translatedSegments.filter(segment => segment && segment.trim()).join('\n'),
+    ...buildTranslatedContent(message, translatedSegments)
+  };
+}
+
+// SIMPLE INCOMING TRANSLATION - Show any message in your preferred language
+app.message(async ({ message, client, context }) => {
+  try {
+    // Edits and deletions update or remove the translations we already showed
+    if (message.subtype === 'message_changed') {
+      await handleMessageChanged(client, message, context);
+      return;
+    }
+    if (message.subtype === 'message_deleted') {
+      await handleMessageDeleted(client, message.channel, message.deleted_ts);
+      return;
+    }
+    
+    if (await isTranslatableMessage(message, context)) {
+      await translateIncomingMessage(client, message);
+    }
+    
+    // Shared files are translated when the channel has file translation switched on
+    if (message.subtype === 'file_share' && !isOwnMessage(message, context)) {
+      await translateSharedFiles(client, message);
+    }
+  } catch (error) {
+    // Detection failed during an outage - queue the whole message
+    if (error instanceof ProviderUnavailableError) {
+      await enqueueRetryJob({ message, groups: null, queuedAt: Date.now() });
+      return;
+    }
+    console.error('❌ Translation error:', error);
+  }
+});
+
+// Posted by this bot (its bot id) or uploaded by it (its bot user, e.g. translated files)
+function isOwnMessage(message, context) {
+  return Boolean((message.bot_id && message.bot_id === context.botId) ||
+    (message.user && message.user === context.botUserId));
+}
+
+// Skip our own posts and system messages - other apps' posts and file comments are translated too
+const TRANSLATABLE_SUBTYPES = ['bot_message', 'file_share'];
+
+async function isTranslatableMessage(message, context) {
+  if ((message.subtype && !TRANSLATABLE_SUBTYPES.includes(message.subtype)) || isOwnMessage(message, context)) {
+    return false;
+  }
+  
+  if (getMessageContent(message).segments.length === 0) {
+    return false;
+  }
+  
+  // Never translate a translation - checked by provenance, not by what the text looks like
+  return !(await isBotPost(message));
+}
+
+// Edited message: re-translate it. Shared translation posts are updated in place with
+// chat.update; ephemerals cannot be changed, so readers get a fresh one marked as edited.
+async function handleMessageChanged(client, event, context) {
+  const edited = { ...event.message, channel: event.channel, channel_type: event.channel_type };
+  
+  // Deleting a message that has replies leaves a tombstone instead of a deletion
+  if (edited.subtype === 'tombstone') {
+    await handleMessageDeleted(client, event.channel, edited.ts);
+    return;
+  }
+  
+  // A /translate post changed - keep its stored original data in step
+  if (await updateOriginalMessage(event.channel, edited.ts, { translated: edited.text })) {
+    console.log(`✏️ Updated stored original for /translate post ${edited.ts}`);
+    return;
+  }
+  
+  if (!(await isTranslatableMessage(edited, context))) {
+    return;
+  }
+  
+  // Unfurls and other metadata changes also arrive as message_changed
+  const previousText = event.previous_message ? getMessageContent(event.previous_message).text : null;
+  if (getMessageContent(edited).text === previousText) {
+    return;
+  }
+  
+  console.log(`✏️ Message ${edited.ts} was edited, translating again`);
+  try {
+    await translateIncomingMessage(client, edited);
+  } catch (error) {
+    if (error instanceof ProviderUnavailableError) {
+      await enqueueRetryJob({ message: edited, groups: null, queuedAt: Date.now() });
+      return;
+    }
+    throw error;
+  }
+}
+
+// Deleted message: remove our translation post and any stored /translate original
+async function handleMessageDeleted(client, channel, messageTs) {
+  const postTs = await getTranslationPost(channel, messageTs);
+  if (postTs) {
+    try {
+      await client.chat.delete({ channel, ts: postTs });
+      console.log(`🗑️ Deleted translation ${postTs} of removed message ${messageTs}`);
+    } catch (error) {
+      console.log(`❌ Error deleting translation ${postTs}:`, error.message);
+    }
+    await forgetTranslationPost(channel, messageTs);
+  }
+  
+  if (await deleteOriginalMessage(channel, messageTs)) {
+    console.log(`🗑️ Purged stored original for /translate post ${messageTs}`);
+  }
+}
+
+// Translate an incoming message for the channel's readers. A retry job from the queue
+// ({ groups, queuedAt }) limits the work to the reader groups that failed before.
+async function translateIncomingMessage(client, message, retry = null) {
+  // Channels can switch incoming translation off entirely
+  const channelMode = await getChannelMode(message.channel);
+  if (channelMode === 'off') {
+    return;
+  }
+  
+  const content = getMessageContent(message);
+  const author = message.user || message.username || message.bot_id;
+  console.log(`📥 ${retry ? 'Retrying' : 'Processing'} message: "${content.text}" from ${author} (${channelMode} mode${content.structured ? `, ${content.segments.length} segments` : ''})`);
+  
+  // Detect message language
+  const msgLang = await detectLanguage(content.text);
+  console.log(`📝 Message language detected: ${msgLang}`);
+  
+  // First touch for writers who never chose a language: infer it in the background
+  if (message.user && !retry) {
+    inferUserLanguage(client, message.user, msgLang).catch(error => {
+      console.log(`❌ Language inference failed for ${message.user}:`, error.message);
+    });
+  }
+  
+  // Remember message and thread languages so /translate can follow the thread
+  await storeMessageLanguage(message.channel, message.ts, msgLang);
+  if (message.thread_ts && message.thread_ts !== message.ts) {
+    await storeThreadReplyLanguage(message.channel, message.thread_ts, msgLang);
+  }
+  
+  // Get channel members to show translations to
+  try {
+    const channelMembers = (await getChannelMembers(client, message.channel))
+      .filter(userId => userId !== message.user);
+    
+    // Respect each reader's auto-translation mode and channel mutes before anything else
+    const [autoModes, mutedUsers] = await Promise.all([
+      getUserAutoTranslateModes(channelMembers),
+      getChannelMutedUsers(message.channel)
+    ]);
+    const members = channelMembers.filter(userId =>
+      !mutedUsers.has(userId) && wantsAutoTranslation(autoModes[userId], userId, message)
+    );
+    
+    // Batch preference lookups instead of one Redis round-trip per member
+    const [userLangs, userSecondaryLangs, userFormalities, channelFormality] = await Promise.all([
+      getUserLanguages(members),
+      getUserSecondaryLanguages(members),
+      getUserFormalities(members),
+      getFormality('channel', message.channel)
+    ]);
+    
+    // Group readers by language and formality so each variant is translated once
+    const sharedPost = channelMode !== 'ephemeral';
+    const groups = new Map();
+    for (const userId of members) {
+      const userLang = userLangs[userId];
+      if (isSameLanguage(msgLang, userLang) || userSecondaryLangs[userId].some(lang => isSameLanguage(msgLang, lang))) continue;
+      
+      // Shared posts are read by everyone, so they use the channel's formality; ephemerals
+      // follow the same precedence as resolveFormality (the reader's setting, then the channel's)
+      const formality = sharedPost || userFormalities[userId] === 'default'
+        ? channelFormality
+        : userFormalities[userId];
+      const groupKey = `${userLang}:${formality}`;
+      if (retry && retry.groups && !retry.groups.includes(groupKey)) continue;
+      if (!groups.has(groupKey)) {
+        groups.set(groupKey, { key: groupKey, lang: userLang, formality, userIds: [] });
+      }
+      groups.get(groupKey).userIds.push(userId);
+    }
+    
+    console.log(`👥 ${channelMembers.length} members, ${members.length} opted in, ${groups.size} translation groups needed`);
+    
+    // Translate once per group
+    const translations = [];
+    const deliveries = [];
+    const unavailableGroups = [];
+    for (const group of groups.values()) {
+      try {
+        const rendered = await translateMessageContent(message, content, group.lang, msgLang, {
+          channelId: message.channel,
+          userId: message.user,
+          formality: group.formality
+        });
+        const translated = rendered.text;
+        console.log(`🌐 Translated for ${group.userIds.length} ${group.lang.toUpperCase()} readers: ${translated.substring(0, 50)}...`);
+        translations.push({ lang: group.lang, translated });
+        group.userIds.forEach(userId => deliveries.push({ userId, lang: group.lang, translated, rendered }));
+      } catch (groupError) {
+        console.log(`❌ Error translating to ${group.lang}:`, groupError.message);
+        if (groupError instanceof ProviderUnavailableError) {
+          unavailableGroups.push(group.key);
+        }
+      }
+    }
+    
+    // Provider outage: queue the missing languages for when it recovers
+    if (unavailableGroups.length > 0) {
+      await enqueueRetryJob({ message, groups: unavailableGroups, queuedAt: retry ? retry.queuedAt : Date.now() });
+    }
+    
+    // Threaded and posted modes: one message with every needed language
+    if (sharedPost) {
+      if (translations.length === 0) {
+        return;
+      }
+      
+      const post = {
+        text: translations.map(({ lang, translated }) => `${lang.toUpperCase()}: ${translated}`).join('\n'),
+        blocks: buildMultiLanguageBlocks(message.user ? `<@${message.user}>` : (message.username || 'an app'), msgLang, translations, Boolean(message.edited)),
+        metadata: buildProvenanceMetadata('translation', message.ts)
+      };
+      
+      // Edited (or retried) message: update the post we already made
+      const existingTs = await getTranslationPost(message.channel, message.ts);
+      if (existingTs) {
+        await client.chat.update({ channel: message.channel, ts: existingTs, ...post });
+        console.log(`✅ Updated ${translations.length} translations (${channelMode})`);
+        return;
+      }
+      
+      const posted = await client.chat.postMessage({
+        channel: message.channel,
+        thread_ts: channelMode === 'threaded' ? (message.thread_ts || message.ts) : message.thread_ts,
+        ...post
+      });
+      await recordTranslationPost(message.channel, message.ts, posted.ts);
+      await recordBotPost(message.channel, posted.ts, 'translation');
+      
+      console.log(`✅ Posted ${translations.length} translations (${channelMode})`);
+      return;
+    }
+    
+    // Show ephemeral translations with bounded concurrency (the Web API client retries 429s)
+    await runWithConcurrency(deliveries, EPHEMERAL_CONCURRENCY, async ({ userId, lang, translated, rendered }) => {
+      try {
+        // Structured messages keep their layout under a one-line header
+        const header = `🌐 *${msgLang.toUpperCase()} → ${lang.toUpperCase()}*${message.edited ? ' _(edited)_' : ''}`;
+        const blocks = content.structured
+          ? [
+            {
+              type: "context",
+              elements: [{ type: "mrkdwn", text: header }]
+            },
+            ...rendered.blocks
+          ]
+          : [
+            {
+              type: "section",
+              text: {
+                type: "mrkdwn",
+                text: `${header}\n${translated}`
+              }
+            }
+          ];
+        
+        await client.chat.postEphemeral({
+          channel: message.channel,
+          user: userId,
+          thread_ts: message.thread_ts,
+          text: translated,
+          blocks,
+          ...(content.structured && rendered.attachments.length > 0 ? { attachments: rendered.attachments } : {})
+        });
+      } catch (userError) {
+        console.log(`❌ Error showing translation to user ${userId}:`, userError.message);
+      }
+    });
+    
+    console.log(`✅ Showed ${deliveries.length} translations`);
+    
+  } catch (channelError) {
+    console.log(`❌ Error getting channel members:`, channelError.message);
+  }
+}
+
+// Retry queue - incoming messages that could not be translated during a provider outage.
+// Jobs live in the Redis list `retry:queue` (memory fallback) and are replayed once the
+// circuit closes again; jobs older than RETRY_QUEUE_MAX_AGE_MINUTES are dropped as stale.
+const RETRY_QUEUE_MAX_LENGTH = parseInt(process.env.RETRY_QUEUE_MAX_LENGTH) || 1000;
+const RETRY_QUEUE_MAX_AGE_MINUTES = parseInt(process.env.RETRY_QUEUE_MAX_AGE_MINUTES) || 60;
+const retryQueue = [];
+let retryQueueRunning = false;
+
+// Queue a job ({ message, groups, queuedAt }) at the back, or at the front when put back
+async function enqueueRetryJob(job, front = false) {
+  const entry = JSON.stringify(job);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      if (front) {
+        await redisClient.lPush('retry:queue', entry);
+      } else {
+        await redisClient.rPush('retry:queue', entry);
+        await redisClient.lTrim('retry:queue', -RETRY_QUEUE_MAX_LENGTH, -1);
+      }
+      console.log(`📮 Queued message ${job.message.ts} for retry`);
+      return;
+    }
+  } catch (error) {
+    console.log('Redis not available for retry queue, using memory');
+  }
+  
+  if (front) {
+    retryQueue.unshift(entry);
+  } else {
+    retryQueue.push(entry);
+    if (retryQueue.length > RETRY_QUEUE_MAX_LENGTH) {
+      retryQueue.shift();
+    }
+  }
+  console.log(`📮 Queued message ${job.message.ts} for retry (memory)`);
+}
+
+// Take the next job from the front of the queue
+async function dequeueRetryJob() {
+  try {
+    if (redisClient && redisAvailable) {
+      const entry = await redisClient.lPop('retry:queue');
+      return entry ? JSON.parse(entry) : null;
+    }
+  } catch (error) {
+    console.log('Redis not available for retry queue, using memory');
+  }
+  
+  const entry = retryQueue.shift();
+  return entry ? JSON.parse(entry) : null;
+}
+
+// Number of queued jobs
+async function getRetryQueueLength() {
+  try {
+    if (redisClient && redisAvailable) {
+      return await redisClient.lLen('retry:queue');
+    }
+  } catch (error) {
+    console.log('Redis not available for retry queue, using memory');
+  }
+  
+  return retryQueue.length;
+}
+
+// Replay queued jobs while the provider is up (each job at most once per run)
+async function processRetryQueue() {
+  if (retryQueueRunning || isCircuitOpen()) {
+    return;
+  }
+  
+  retryQueueRunning = true;
+  let replayed = 0;
+  
+  try {
+    let remaining = await getRetryQueueLength();
+    while (remaining-- > 0 && !isCircuitOpen()) {
+      const job = await dequeueRetryJob();
+      if (!job) break;
+      
+      if (Date.now() - job.queuedAt > RETRY_QUEUE_MAX_AGE_MINUTES * 60 * 1000) {
+        console.log(`🗑️ Dropping stale retry job for message ${job.message.ts}`);
+        continue;
+      }
+      
+      try {
+        await translateIncomingMessage(app.client, job.message, job);
+        replayed++;
+      } catch (error) {
+        if (error instanceof ProviderUnavailableError) {
+          await enqueueRetryJob(job, true);
+          break;
+        }
+        console.log(`❌ Retry job for message ${job.message.ts} failed:`, error.message);
+      }
+    }
+  } finally {
+    retryQueueRunning = false;
+  }
+  
+  if (replayed > 0) {
+    console.log(`🔁 Replayed ${replayed} queued messages`);
+  }
+}
+
+// File translation - .docx/.pptx/.pdf/.txt go through the provider's document translation,
+// snippets are translated as text; results are uploaded into the message's thread.
+// Needs the files:read scope to download what was shared.
+const DOCUMENT_EXTENSIONS = ['.docx', '.pptx', '.pdf', '.txt'];
+const FILE_TRANSLATION_MAX_MB = parseFloat(process.env.FILE_TRANSLATION_MAX_MB) || 10;
+
+// 'snippet', 'document' or null when the file can't be translated
+function getFileTranslationKind(file) {
+  if (file.mode === 'snippet') {
+    return 'snippet';
+  }
+  return DOCUMENT_EXTENSIONS.includes(path.extname(file.name || '').toLowerCase()) ? 'document' : null;
+}
+
+// report.docx -> report.de.docx
+function getTranslatedFilename(filename, targetLang) {
+  const extension = path.extname(filename);
+  return `${path.basename(filename, extension)}.${targetLang}${extension}`;
+}
+
+// Private file URLs need the bot token; without files:read Slack answers with a login page
+async function downloadSlackFile(file) {
+  const response = await fetch(file.url_private_download || file.url_private, {
+    headers: { Authorization: `Bearer ${process.env.SLACK_BOT_TOKEN}` }
+  });
+  if (!response.ok) {
+    throw new Error(`Could not download ${file.name} (HTTP ${response.status})`);
+  }
+  if ((response.headers.get('content-type') || '').startsWith('text/html') && file.filetype !== 'html') {
+    throw new Error(`Could not download ${file.name} - is the files:read scope granted?`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Translate one document with budget checks and usage accounting like translateText
+async function translateDocumentFile(buffer, file, targetLang, usageContext, formality) {
+  // The real count is only known afterwards, DeepL's per-document minimum is the best estimate
+  await assertWithinBudget(usageContext, DOCUMENT_MIN_BILLED_CHARACTERS);
+  
+  try {
+    console.log(`📄 ${translationProvider.label} document translation: ${file.name} (→ ${targetLang})`);
+    const targetCode = toDeepLTargetCode(targetLang);
+    const result = await translationProvider.translateDocument(buffer, file.name, null, targetCode, {
+      formality: getDeepLFormality(targetLang, formality)
+    });
+    await recordUsage({ api_calls: 1, characters: result.billedCharacters }, usageContext);
+    return result.buffer;
+  } catch (error) {
+    // deepl-node wraps failures in a DocumentTranslationError carrying the original error
+    if ((error.error || error) instanceof deepl.QuotaExceededError) {
+      providerQuotaExhausted = true;
+      await alertBudget('provider', 'cap', `🛑 ${translationProvider.label} character quota exceeded. Only cached translations and common phrases are served until it resets.`);
+      throw new TranslationBudgetError('provider', `${translationProvider.label} character quota is used up`);
+    }
+    throw error;
+  }
+}
+
+// Translate a message's files into targetLang and upload them into its thread.
+// Returns one { name, status: translated | skipped | failed, reason } per file.
+async function translateMessageFiles(client, message, targetLang, options = {}) {
+  const usageContext = { channelId: message.channel, userId: options.userId, targetLang };
+  const threadTs = message.thread_ts || message.ts;
+  const results = [];
+  
+  for (const file of message.files || []) {
+    const kind = getFileTranslationKind(file);
+    if (!kind) {
+      results.push({ name: file.name, status: 'skipped', reason: `only ${DOCUMENT_EXTENSIONS.join(', ')} files and snippets can be translated` });
+      continue;
+    }
+    if (file.size > FILE_TRANSLATION_MAX_MB * 1024 * 1024) {
+      results.push({ name: file.name, status: 'skipped', reason: `larger than ${FILE_TRANSLATION_MAX_MB} MB` });
+      continue;
+    }
+    
+    try {
+      const buffer = await downloadSlackFile(file);
+      const filename = getTranslatedFilename(file.name, targetLang);
+      const initialComment = `🌐 *${file.title || file.name}* translated to ${targetLang.toUpperCase()}`;
+      
+      if (kind === 'snippet') {
+        const text = buffer.toString('utf8');
+        const sourceLang = await detectLanguage(text);
+        if (isSameLanguage(sourceLang, targetLang)) {
+          results.push({ name: file.name, status: 'skipped', reason: `already in ${targetLang.toUpperCase()}` });
+          continue;
+        }
+        // File contents aren't Slack-escaped; escape them so a stray < or & can't break the XML markup protection
+        const translated = unescapeSlackText(
+          await translateText(escapeSlackText(text), targetLang, sourceLang, { ...options, channelId: message.channel })
+        );
+        await client.files.uploadV2({
+          channel_id: message.channel,
+          thread_ts: threadTs,
+          content: translated,
+          filename,
+          title: `${file.title || file.name} (${targetLang.toUpperCase()})`,
+          initial_comment: initialComment
+        });
+      } else {
+        const translated = await translateDocumentFile(buffer, file, targetLang, usageContext, options.formality);
+        await client.files.uploadV2({
+          channel_id: message.channel,
+          thread_ts: threadTs,
+          file: translated,
+          filename,
+          title: `${file.title || file.name} (${targetLang.toUpperCase()})`,
+          initial_comment: initialComment
+        });
+      }
+      
+      console.log(`📄 Uploaded ${filename} to thread ${threadTs}`);
+      results.push({ name: file.name, status: 'translated', filename });
+    } catch (error) {
+      console.log(`❌ Error translating file ${file.name}:`, error.message);
+      results.push({ name: file.name, status: 'failed', reason: error.message });
+    }
+  }
+  
+  return results;
+}
+
+// Files shared in a channel with file translation on are translated into the channel's language
+async function translateSharedFiles(client, message) {
+  if (!(await getChannelFileTranslation(message.channel))) {
+    return;
+  }
+  
+  const channelLang = await resolveChannelLanguage(client, message.channel);
+  const formality = await getFormality('channel', message.channel);
+  const results = await translateMessageFiles(client, message, channelLang, { userId: message.user, formality });
+  console.log(`📄 Shared files in ${message.channel}: ${results.map(({ name, status }) => `${name} ${status}`).join(', ')}`);
+}
+
+// Post a message that needed no translation under the author's name
+async function postMessageAsIs(client, { userId, channelId, threadTs, text }) {
+  // Get user info to show who wrote the message
+  console.log(`👤 Getting user info for: ${userId}`);
+  const userInfo = await client.users.info({ user: userId });
+  const userName = userInfo.user.real_name || userInfo.user.display_name || userInfo.user.name;
+  console.log(`👤 User name resolved: ${userName}`);
+  
+  console.log(`📤 Posting message as-is to channel: ${channelId}`);
+  const asIsResult = await client.chat.postMessage({
+    channel: channelId,
+    thread_ts: threadTs,
+    text: `*${userName}:* ${text}`,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${userName}:* ${text}`
+        }
+      }
+    ],
+    metadata: buildProvenanceMetadata('translate-command')
+  });
+  await recordBotPost(channelId, asIsResult.ts, 'translate-command');
+  console.log(`✅ Message posted successfully`);
+  
+  return asIsResult;
+}
+
+// Post a /translate message under the author's name and remember its original
+// Drafts already in the target language are posted as written
+async function postTranslatedMessage(client, draft) {
+  const { userId, channelId, threadTs, original, originalLang, translated, translatedLang, edited } = draft;
+  
+  if (isSameLanguage(originalLang, translatedLang)) {
+    return postMessageAsIs(client, { userId, channelId, threadTs, text: translated });
+  }
+  
+  // Get user info to show who wrote the message
+  console.log(`👤 Getting user info for translated message: ${userId}`);
+  const userInfo = await client.users.info({ user: userId });
+  const userName = userInfo.user.real_name || userInfo.user.display_name || userInfo.user.name;
+  console.log(`👤 User name: ${userName}`);
+  
+  // Post translated message to channel
+  console.log(`📤 Posting translated message to channel: ${channelId}`);
+  const postResult = await client.chat.postMessage({
+    channel: channelId,
+    thread_ts: threadTs,
+    text: translated,
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `*${userName}:* ${translated}`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `_Translated from ${originalLang.toUpperCase()} to ${translatedLang.toUpperCase()} via ${translationProvider.label}${edited ? ', edited by the author' : ''}_`
+          }
+        ]
+      }
+    ],
+    metadata: buildProvenanceMetadata('translate-command')
+  });
+  await recordBotPost(channelId, postResult.ts, 'translate-command');
+  console.log(`✅ Translated message posted successfully`);
+  
+  // Store original message for /translate commands
+  await storeOriginalMessage(channelId, postResult.ts, original, originalLang, translated, translatedLang, edited);
+  await storeMessageLanguage(channelId, postResult.ts, translatedLang);
+  if (threadTs) {
+    await storeThreadReplyLanguage(channelId, threadTs, translatedLang);
+  }
+  
+  return postResult;
+}
+
+// Translate a message into the channel's language (the thread's, when replying in a thread) and post
+// it under the author's name. Shared by /translate and the Reply translated shortcut; respond shows
+// ephemeral feedback to the author.
+async function translateAndPost(client, respond, { userId, channelId, threadTs, messageText, formalityOverride = null, preview = false }) {
+  try {
+    console.log(`🔍 Processing outgoing translation: "${messageText}"`);
+    
+    // Inside a thread reply in the thread's language, otherwise in the channel's
+    const channelLang = threadTs
+      ? await resolveThreadLanguage(client, channelId, threadTs)
+      : await resolveChannelLanguage(client, channelId);
+    console.log(`📺 ${threadTs ? `Thread ${threadTs}` : `Channel ${channelId}`} speaking: ${channelLang}`);
+    
+    console.log(`🔍 Detecting language of message: "${messageText}"`);
+    const detectedLang = await detectLanguage(messageText);
+    console.log(`📝 Message language detected as: ${detectedLang}`);
+    const formality = await resolveFormality({
+      override: formalityOverride,
+      userId: userId,
+      channelId: channelId,
+      channelFirst: true
+    });
+    
+    // If user's message is already in channel language it goes out as-is (still via the preview)
+    const alreadyInChannelLang = isSameLanguage(detectedLang, channelLang);
+    let translated = messageText;
+    if (alreadyInChannelLang) {
+      console.log(`✅ Message already in channel language, posting as-is`);
+    } else {
+      console.log(`🌐 Translating "${messageText}" from ${detectedLang} to ${channelLang}`);
+      translated = await translateText(messageText, channelLang, detectedLang, {
+        channelId: channelId,
+        userId: userId,
+        formality
+      });
+      console.log(`🌐 Translated "${messageText}" to: ${translated}`);
+    }
+    
+    const draft = {
+      userId: userId,
+      channelId: channelId,
+      threadTs,
+      original: messageText,
+      originalLang: detectedLang,
+      translated,
+      translatedLang: channelLang,
+      formality,
+      edited: false
+    };
+    
+    // Preview: an ephemeral draft to send, edit, re-target or drop
+    if (preview || await getUserPreviewMode(userId)) {
+      const draftId = crypto.randomUUID();
+      translationDrafts.set(draftId, draft);
+      await respond({
+        text: `Preview: ${translated}`,
+        blocks: buildDraftBlocks(draftId, draft),
+        response_type: "ephemeral"
+      });
+      return;
+    }
+    
+    await postTranslatedMessage(client, draft);
+    
+    await respond({
+      text: alreadyInChannelLang
+        ? `✅ Message posted (no translation needed - already in ${channelLang.toUpperCase()})`
+        : `✅ Message translated and posted!`,
+      response_type: "ephemeral"
+    });
+    console.log(`✅ Outgoing translation completed successfully`);
+    
+  } catch (error) {
+    if (error instanceof TranslationBudgetError || error instanceof ProviderUnavailableError) {
+      console.log(`⚠️ /translate not posted: ${error.message}`);
+      await respond({
+        text: `⚠️ ${error.message}. Your message was not posted.`,
+        response_type: "ephemeral"
+      });
+      return;
+    }
+    console.error('❌ Translation error:', error);
+    console.error('❌ Error stack:', error.stack);
+    await respond({
+      text: `❌ Translation failed: ${error.message}`
+    });
+  }
+}
+
+// SIMPLE OUTGOING TRANSLATION - /translate command
+app.command('/translate', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  // Leading flags: a one-off formality override (--formal ...) and --preview to review a draft first
+  let messageText = command.text.trim();
+  let formalityOverride = null;
+  let previewFlag = false;
+  let flagMatch;
+  while ((flagMatch = messageText.match(/^--(formal|informal|default|preview)\b\s*/i))) {
+    const flag = flagMatch[1].toLowerCase();
+    if (flag === 'preview') {
+      previewFlag = true;
+    } else {
+      formalityOverride = flag;
+    }
+    messageText = messageText.substring(flagMatch[0].length);
+  }
+  
+  if (!messageText) {
+    await respond({
+      text: "Please provide a message to translate.\nExample: `/translate guten tag alle zusammen`, `/translate --formal thanks for your order` or `/translate --preview see you tomorrow`"
+    });
+    return;
+  }
+  
+  await translateAndPost(client, respond, {
+    userId: command.user_id,
+    channelId: command.channel_id,
+    messageText,
+    formalityOverride,
+    preview: previewFlag
+  });
+});
+
+// /translate preview drafts (draftId -> draft). Drafts are short-lived, so memory is enough.
+const translationDrafts = new NodeCache({
+  stdTTL: 3600 // 1 hour
+});
+
+// Ephemeral draft: the translation, the original and the Send / Edit / Change language / Cancel controls.
+// Every control carries the draft id in its block_id.
+function buildDraftBlocks(draftId, draft) {
+  const languageOptions = getSupportedLanguageCodes().map(code => ({
+    text: { type: "plain_text", text: formatLanguageName(code) },
+    value: code
+  }));
+  const selectedLanguage = languageOptions.find(option => option.value === toPickerLanguage(draft.translatedLang));
+  
+  return [
+    {
+      type: "section",
+      text: {
+        type: "mrkdwn",
+        text: `👀 *Preview* (${draft.originalLang.toUpperCase()} → ${draft.translatedLang.toUpperCase()}) - only you can see this\n>${draft.translated.replace(/\n/g, '\n>')}`
+      }
+    },
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: `_Original:_ ${draft.original}` }]
+    },
+    {
+      type: "actions",
+      block_id: `translate_draft:${draftId}`,
+      elements: [
+        {
+          type: "button",
+          action_id: "translate_draft_send",
+          style: "primary",
+          text: { type: "plain_text", text: "Send" }
+        },
+        {
+          type: "button",
+          action_id: "translate_draft_edit",
+          text: { type: "plain_text", text: "Edit" }
+        },
+        {
+          type: "static_select",
+          action_id: "translate_draft_language",
+          placeholder: { type: "plain_text", text: "Change language" },
+          options: languageOptions,
+          ...(selectedLanguage ? { initial_option: selectedLanguage } : {})
+        },
+        {
+          type: "button",
+          action_id: "translate_draft_cancel",
+          style: "danger",
+          text: { type: "plain_text", text: "Cancel" }
+        }
+      ]
+    }
+  ];
+}
+
+// The draft behind a draft control, or null once it has expired
+function getDraft(draftId) {
+  return translationDrafts.get(draftId) || null;
+}
+
+async function respondDraftExpired(respond) {
+  await respond({
+    replace_original: true,
+    text: "⌛ This draft has already been sent or has expired. Run `/translate` to write a new one."
+  });
+}
+
+// Sending claims the draft first, so a double click or a concurrent Edit submit can't post it twice
+app.action('translate_draft_send', async ({ ack, action, respond, client }) => {
+  await ack();
+  
+  const draftId = action.block_id.split(':')[1];
+  const draft = translationDrafts.take(draftId);
+  if (!draft) {
+    await respondDraftExpired(respond);
+    return;
+  }
+  
+  try {
+    await postTranslatedMessage(client, draft);
+  } catch (error) {
+    console.error('❌ Draft send error:', error);
+    translationDrafts.set(draftId, draft);
+    await respond({ replace_original: false, text: `❌ Could not post your message: ${error.message}` });
+    return;
+  }
+  
+  await respond({ replace_original: true, text: "✅ Message translated and posted!" });
+});
+
+app.action('translate_draft_cancel', async ({ ack, action, respond }) => {
+  await ack();
+  
+  translationDrafts.del(action.block_id.split(':')[1]);
+  await respond({ delete_original: true });
+});
+
+// Re-translate the original into another language
+app.action('translate_draft_language', async ({ ack, action, respond }) => {
+  await ack();
+  
+  const draftId = action.block_id.split(':')[1];
+  const draft = getDraft(draftId);
+  if (!draft) {
+    await respondDraftExpired(respond);
+    return;
+  }
+  
+  const translatedLang = action.selected_option.value;
+  try {
+    const translated = isSameLanguage(draft.originalLang, translatedLang)
+      ? draft.original
+      : await translateText(draft.original, translatedLang, draft.originalLang, {
+        channelId: draft.channelId,
+        userId: draft.userId,
+        formality: draft.formality
+      });
+    // Sent or cancelled while translating
+    if (!translationDrafts.has(draftId)) {
+      return;
+    }
+    const updated = { ...draft, translated, translatedLang, edited: false };
+    translationDrafts.set(draftId, updated);
+    await respond({
+      replace_original: true,
+      text: `Preview: ${translated}`,
+      blocks: buildDraftBlocks(draftId, updated)
+    });
+  } catch (error) {
+    console.log(`⚠️ Draft re-translation to ${translatedLang} failed: ${error.message}`);
+    await respond({ replace_original: false, text: `⚠️ Could not translate to ${translatedLang.toUpperCase()}: ${error.message}` });
+  }
+});
+
+// Edit opens a modal with the translation; submitting it posts the edited text
+// Slack caps plain_text_input values at 3000 characters
+const DRAFT_EDIT_MAX_LENGTH = 3000;
+
+app.action('translate_draft_edit', async ({ ack, action, body, respond, client }) => {
+  await ack();
+  
+  const draftId = action.block_id.split(':')[1];
+  const draft = getDraft(draftId);
+  if (!draft) {
+    await respondDraftExpired(respond);
+    return;
+  }
+  
+  if (draft.translated.length > DRAFT_EDIT_MAX_LENGTH) {
+    await respond({
+      replace_original: false,
+      text: `⚠️ This translation is longer than ${DRAFT_EDIT_MAX_LENGTH.toLocaleString()} characters and can't be edited in Slack. Send it as it is or run \`/translate\` with a shorter message.`
+    });
+    return;
+  }
+  
+  // The modal submission has no response_url of its own, so keep the draft's to clear it afterwards
+  translationDrafts.set(draftId, { ...draft, responseUrl: body.response_url });
+  
+  try {
+    await client.views.open({
+      trigger_id: body.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "translate_draft_edit",
+        private_metadata: draftId,
+        title: { type: "plain_text", text: "Edit translation" },
+        submit: { type: "plain_text", text: "Send" },
+        close: { type: "plain_text", text: "Back" },
+        blocks: [
+          {
+            type: "context",
+            elements: [{ type: "mrkdwn", text: `_Original (${draft.originalLang.toUpperCase()}):_ ${draft.original}` }]
+          },
+          {
+            type: "input",
+            block_id: "translation",
+            label: { type: "plain_text", text: `Translation (${draft.translatedLang.toUpperCase()})` },
+            element: {
+              type: "plain_text_input",
+              action_id: "text",
+              multiline: true,
+              max_length: DRAFT_EDIT_MAX_LENGTH,
+              initial_value: draft.translated
+            }
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('❌ Draft edit modal error:', error);
+    await respond({ replace_original: false, text: `❌ Could not open the editor: ${error.message}` });
+  }
+});
+
+// Update the ephemeral draft after its modal closed
+async function respondToDraft(responseUrl, message) {
+  if (!responseUrl) {
+    return;
+  }
+  
+  try {
+    await fetch(responseUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message)
+    });
+  } catch (error) {
+    console.log('⚠️ Could not update the draft message:', error.message);
+  }
+}
+
+app.view('translate_draft_edit', async ({ ack, view, client }) => {
+  const draftId = view.private_metadata;
+  const text = (view.state.values.translation.text.value || '').trim();
+  if (!text) {
+    await ack({ response_action: 'errors', errors: { translation: 'The translation can\'t be empty.' } });
+    return;
+  }
+  
+  // Claimed like Send, so the draft is posted once whichever control wins
+  const draft = translationDrafts.take(draftId);
+  if (!draft) {
+    await ack({ response_action: 'errors', errors: { translation: 'This draft has already been sent or has expired.' } });
+    return;
+  }
+  
+  await ack();
+  
+  const edited = { ...draft, translated: text, edited: draft.edited || text !== draft.translated };
+  try {
+    await postTranslatedMessage(client, edited);
+  } catch (error) {
+    console.error('❌ Draft edit send error:', error);
+    translationDrafts.set(draftId, draft);
+    await respondToDraft(draft.responseUrl, { replace_original: false, text: `❌ Could not post your message: ${error.message}` });
+    return;
+  }
+  
+  await respondToDraft(draft.responseUrl, { replace_original: true, text: "✅ Edited message posted!" });
+});
+
+// SLASH COMMANDS
+
+// Set user language preference
+app.command('/translate-setup', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const lang = command.text.trim().toLowerCase();
+  
+  // Formality preference: /translate-setup formality formal|informal|default
+  if (lang.startsWith('formality')) {
+    const formality = lang.split(/\s+/)[1];
+    if (!Object.hasOwn(FORMALITY_OPTIONS, formality)) {
+      await respond({
+        text: `❌ Please choose a formality: \`formal\`, \`informal\` or \`default\`.\nExample: \`/translate-setup formality formal\``
+      });
+      return;
+    }
+    
+    await setFormality('user', command.user_id, formality);
+    await recordAudit(command.user_id, `user:${command.user_id}`, 'user.formality', formality);
+    await respond({
+      text: `✅ Your formality is now *${formality}*. Applies to ${FORMALITY_LANGUAGES.map(l => l.toUpperCase()).join(', ')}.`
+    });
+    return;
+  }
+  
+  // Review /translate drafts before they're posted: /translate-setup preview on|off
+  if (lang.startsWith('preview')) {
+    const mode = lang.split(/\s+/)[1];
+    if (mode !== 'on' && mode !== 'off') {
+      await respond({
+        text: `❌ Please choose \`on\` or \`off\`.\nExample: \`/translate-setup preview on\` - or preview a single message with \`/translate --preview\``
+      });
+      return;
+    }
+    
+    await setUserPreviewMode(command.user_id, mode);
+    await recordAudit(command.user_id, `user:${command.user_id}`, 'user.preview', mode);
+    await respond({
+      text: mode === 'on'
+        ? `✅ \`/translate\` now shows you a draft to send, edit or cancel before anything is posted.`
+        : `✅ \`/translate\` posts right away again. Use \`/translate --preview\` to review a single message.`
+    });
+    return;
+  }
+  
+  // Languages the user also reads: /translate-setup also fr de | none
+  if (lang.startsWith('also')) {
+    const [, ...codes] = lang.split(/[\s,]+/).filter(Boolean);
+    const unsupported = codes.filter(code => code !== 'none' && !isSupportedLanguage(code));
+    if (codes.length === 0 || unsupported.length > 0) {
+      await respond({
+        text: `❌ ${unsupported.length > 0 ? `Not supported: ${unsupported.join(', ')}. ` : ''}List the languages you also read, or \`none\`.\nExample: \`/translate-setup also fr de\``
+      });
+      return;
+    }
+    
+    const userLang = await getUserLanguage(command.user_id);
+    const secondary = [...new Set(codes.filter(code => code !== 'none' && !isSameLanguage(code, userLang)))];
+    await setUserSecondaryLanguages(command.user_id, secondary);
+    await recordAudit(command.user_id, `user:${command.user_id}`, 'user.secondary_languages', secondary.join(','));
+    await respond({
+      text: secondary.length > 0
+        ? `✅ Messages in ${secondary.map(formatLanguageName).join(', ')} won't be translated for you.`
+        : `✅ Only messages in ${formatLanguageName(userLang)} are left untranslated for you.`
+    });
+    return;
+  }
+  
+  if (!lang) {
+    // No language given: pick one from the modal
+    try {
+      await openSetupModal(client, command.trigger_id, command.user_id, command.channel_id);
+    } catch (error) {
+      console.error('❌ Setup modal error:', error);
+      await respond({
+        text: `❌ Could not open the language picker: ${error.message}\nUse \`/translate-setup [language]\` instead, e.g. \`/translate-setup es\``
+      });
+    }
+    return;
+  }
+  
+  if (!isSupportedLanguage(lang)) {
+    await respond({
+      text: `❌ Language '${lang}' is not supported by ${translationProvider.label}.\nSupported languages: ${getSupportedLanguageCodes().join(', ')}`
+    });
+    return;
+  }
+  
+  // Store preference
+  await setUserLanguage(command.user_id, lang);
+  await recordAudit(command.user_id, `user:${command.user_id}`, 'user.language', lang);
+  
+  await respond({
+    blocks: [
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `🎉 *Success! Your language is now set to: ${lang.toUpperCase()}*`
+        }
+      },
+      {
+        type: "section",
+        text: {
+          type: "mrkdwn",
+          text: `✅ *What happens now:*\n• All messages in other languages will be automatically translated to ${lang.toUpperCase()} for you\n• Your messages will be auto-translated to match each channel's language\n• Use \`/translate [message]\` to manually translate and post`
+        }
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: "💡 _Use `/translate-me` to check your settings anytime_"
+          }
+        ]
+      }
+    ]
+  });
+});
+
+// Language picker modal for /translate-setup: native names, a live preview and secondary languages
+const SETUP_PREVIEW_TEXT = 'Good morning everyone! The release notes are ready for review.';
+
+function buildLanguageOptions(codes) {
+  return codes.map(code => ({
+    text: { type: "plain_text", text: formatLanguageName(code) },
+    value: code
+  }));
+}
+
+// Preview of a sample sentence in the chosen language and the user's formality
+async function getSetupPreview(lang, userId) {
+  if (isSameLanguage(lang, 'en')) {
+    return SETUP_PREVIEW_TEXT;
+  }
+  
+  try {
+    return await translateText(SETUP_PREVIEW_TEXT, lang, 'en', {
+      userId,
+      formality: await getFormality('user', userId)
+    });
+  } catch (error) {
+    console.log(`❌ Setup preview error for ${lang}:`, error.message);
+    return null;
+  }
+}
+
+function buildSetupModal({ lang, secondary, preview, channelId }) {
+  const options = buildLanguageOptions(getSupportedLanguageCodes());
+  const secondaryOptions = options.filter(option => secondary.map(toPickerLanguage).includes(option.value));
+  
+  return {
+    type: "modal",
+    callback_id: "translate_setup",
+    private_metadata: JSON.stringify({ channelId }),
+    title: { type: "plain_text", text: "Translation language" },
+    submit: { type: "plain_text", text: "Save" },
+    close: { type: "plain_text", text: "Cancel" },
+    blocks: [
+      {
+        type: "input",
+        block_id: "language",
+        dispatch_action: true,
+        label: { type: "plain_text", text: "Translate messages into" },
+        element: {
+          type: "static_select",
+          action_id: "setup_language",
+          options,
+          initial_option: options.find(option => option.value === toPickerLanguage(lang))
+        }
+      },
+      {
+        type: "context",
+        elements: [{
+          type: "mrkdwn",
+          text: preview === undefined
+            ? "_Preparing a preview…_"
+            : preview === null
+              ? "_Preview unavailable right now - your choice is still saved._"
+              : `*Preview:* ${preview}`
+        }]
+      },
+      {
+        type: "input",
+        block_id: "secondary",
+        optional: true,
+        label: { type: "plain_text", text: "Languages I also read" },
+        hint: { type: "plain_text", text: "Messages in these languages are not translated for you." },
+        element: {
+          type: "multi_static_select",
+          action_id: "setup_secondary",
+          placeholder: { type: "plain_text", text: "None" },
+          options,
+          ...(secondaryOptions.length > 0 ? { initial_options: secondaryOptions } : {})
+        }
+      }
+    ]
+  };
+}
+
+// Current selections of an open setup modal
+function getSetupModalState(view) {
+  const values = view.state.values;
+  return {
+    lang: values.language.setup_language.selected_option.value,
+    secondary: (values.secondary.setup_secondary.selected_options || []).map(option => option.value),
+    channelId: JSON.parse(view.private_metadata || '{}').channelId
+  };
+}
+
+// Open right away (the trigger expires after 3 seconds), then fill in the preview
+async function openSetupModal(client, triggerId, userId, channelId) {
+  const [lang, secondaryLangs] = await Promise.all([
+    getUserLanguage(userId),
+    getUserSecondaryLanguages([userId])
+  ]);
+  const secondary = secondaryLangs[userId];
+  
+  const { view } = await client.views.open({
+    trigger_id: triggerId,
+    view: buildSetupModal({ lang, secondary, channelId })
+  });
+  
+  const preview = await getSetupPreview(lang, userId);
+  await client.views.update({
+    view_id: view.id,
+    hash: view.hash,
+    view: buildSetupModal({ lang, secondary, preview, channelId })
+  });
+}
+
+// Picking a language refreshes the preview
+app.action('setup_language', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    const modalState = getSetupModalState(body.view);
+    const preview = await getSetupPreview(modalState.lang, body.user.id);
+    await client.views.update({
+      view_id: body.view.id,
+      hash: body.view.hash,
+      view: buildSetupModal({ ...modalState, preview })
+    });
+  } catch (error) {
+    console.error('❌ Setup preview update error:', error);
+  }
+});
+
+app.view('translate_setup', async ({ ack, body, view, client }) => {
+  await ack();
+  
+  const userId = body.user.id;
+  const { lang, secondary, channelId } = getSetupModalState(view);
+  const alsoReads = secondary.filter(code => !isSameLanguage(code, lang));
+  
+  try {
+    await setUserLanguage(userId, lang);
+    await setUserSecondaryLanguages(userId, alsoReads);
+    await recordAudit(userId, `user:${userId}`, 'user.language', lang);
+    await recordAudit(userId, `user:${userId}`, 'user.secondary_languages', alsoReads.join(','));
+    
+    if (channelId) {
+      await client.chat.postEphemeral({
+        channel: channelId,
+        user: userId,
+        text: `🎉 Your language is now *${formatLanguageName(lang)}*` +
+              (alsoReads.length > 0 ? ` - messages in ${alsoReads.map(formatLanguageName).join(', ')} are left untranslated for you.` : '.')
+      });
+    }
+  } catch (error) {
+    console.error('❌ Setup save error:', error);
+  }
+});
+
+// Language inference - users who never ran /translate-setup get a provisional language from their
+// Slack locale, refined by the languages they write in, and a one-time DM to confirm or change it
+const LANGUAGE_INFERENCE_MIN_MESSAGES = parseInt(process.env.LANGUAGE_INFERENCE_MIN_MESSAGES) || 3;
+
+// Slack locales whose DeepL target isn't just the lowercased locale or its base language
+const LOCALE_LANGUAGES = {
+  'zh-cn': 'zh-hans',
+  'zh-tw': 'zh-hant',
+  'zh-hk': 'zh-hant'
+};
+
+// Users whose locale was looked up recently (userId -> preference code or '' when unusable)
+const userLocaleCache = new NodeCache({
+  stdTTL: 86400 // 1 day
+});
+
+// Detected languages of each user's messages while their language isn't chosen (userId -> { lang: count })
+const userMessageLanguages = new Map();
+
+// Users being inferred right now, so two quick messages don't send two DMs
+const languageInferencesInFlight = new Set();
+
+// Preference code for a user's Slack locale, e.g. 'pt-BR' -> 'pt-br', 'es-LA' -> 'es' (null for bots)
+async function getUserLocaleLanguage(client, userId) {
+  const cached = userLocaleCache.get(userId);
+  if (cached !== undefined) {
+    return cached || null;
+  }
+  
+  const { user } = await client.users.info({ user: userId, include_locale: true });
+  let lang = null;
+  if (user && !user.is_bot && !user.deleted && user.locale) {
+    const locale = user.locale.toLowerCase();
+    lang = [LOCALE_LANGUAGES[locale], locale, getBaseLanguage(locale)].find(code => code && isSupportedLanguage(code)) || null;
+  }
+  
+  userLocaleCache.set(userId, lang || '');
+  return lang;
+}
+
+// Count the detected language of a user's message, returning the counts so far
+async function recordUserMessageLanguage(userId, lang) {
+  const counts = userMessageLanguages.get(userId) || {};
+  counts[lang] = (counts[lang] || 0) + 1;
+  userMessageLanguages.set(userId, counts);
+  
+  try {
+    if (redisClient && redisAvailable) {
+      const [, , stored] = await redisClient.multi()
+        .hIncrBy(`user:${userId}:detected`, lang, 1)
+        .expire(`user:${userId}:detected`, 30 * 86400)
+        .hGetAll(`user:${userId}:detected`)
+        .exec();
+      return Object.fromEntries(Object.entries(stored).map(([code, count]) => [code, Number(count)]));
+    }
+  } catch (error) {
+    console.log('Redis not available for message language history');
+  }
+  
+  return counts;
+}
+
+// The locale wins unless the user clearly writes in another language
+function pickInferredLanguage(localeLang, counts) {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const [top, topCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  
+  if (top && total >= LANGUAGE_INFERENCE_MIN_MESSAGES && topCount / total >= 0.6 &&
+      !isSameLanguage(top, localeLang) && isSupportedLanguage(top)) {
+    return top;
+  }
+  return localeLang;
+}
+
+// Infer or refine the language of a user who hasn't chosen one. detectedLang is the language of a
+// message they just wrote. Explicit choices are never touched. Resolves to true when the language changed.
+async function inferUserLanguage(client, userId, detectedLang = null) {
+  if (languageInferencesInFlight.has(userId)) {
+    return false;
+  }
+  
+  languageInferencesInFlight.add(userId);
+  try {
+    return await inferUserLanguageOnce(client, userId, detectedLang);
+  } finally {
+    languageInferencesInFlight.delete(userId);
+  }
+}
+
+async function inferUserLanguageOnce(client, userId, detectedLang) {
+  const source = await getUserLanguageSource(userId);
+  if (source === 'explicit') {
+    return false;
+  }
+  
+  const counts = detectedLang
+    ? await recordUserMessageLanguage(userId, detectedLang)
+    : userMessageLanguages.get(userId) || {};
+  const lang = pickInferredLanguage(await getUserLocaleLanguage(client, userId), counts);
+  if (!lang || (source === 'inferred' && lang === await getUserLanguage(userId))) {
+    return false;
+  }
+  
+  await setUserLanguage(userId, lang, 'inferred');
+  
+  // Refinements are silent - the confirmation DM goes out once
+  if (source === 'none') {
+    await sendLanguageConfirmation(client, userId, lang);
+  }
+  
+  return true;
+}
+
+// Running a command counts as a first touch too. Inference starts once the command is handled,
+// so it never races a language picked with /translate-setup (which skips it altogether).
+app.use(async ({ body, client, next }) => {
+  await next();
+  
+  if (body.command && body.command !== '/translate-setup' && body.user_id) {
+    inferUserLanguage(client, body.user_id).catch(error => {
+      console.log(`❌ Language inference failed for ${body.user_id}:`, error.message);
+    });
+  }
+});
+
+async function sendLanguageConfirmation(client, userId, lang) {
+  try {
+    await client.chat.postMessage({
+      channel: userId,
+      text: `👋 Slacklator will translate messages into ${formatLanguageName(lang)} for you. Keep it or pick another language.`,
+      blocks: [
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `👋 *Hi! I'm Slacklator* - I translate messages written in other languages for you.\nGoing by your Slack settings and the messages you write, I picked *${formatLanguageName(lang)}*. Is that right?`
+          }
+        },
+        {
+          type: "actions",
+          elements: [
+            {
+              type: "button",
+              action_id: "confirm_inferred_language",
+              style: "primary",
+              text: { type: "plain_text", text: `Keep ${LANGUAGE_NAMES[lang] || lang.toUpperCase()}` },
+              value: lang
+            },
+            {
+              type: "button",
+              action_id: "change_inferred_language",
+              text: { type: "plain_text", text: "Choose another language" }
+            }
+          ]
+        },
+        {
+          type: "context",
+          elements: [{ type: "mrkdwn", text: "_Change it anytime with `/translate-setup`._" }]
+        }
+      ]
+    });
+  } catch (error) {
+    console.log(`❌ Error sending language confirmation to ${userId}:`, error.message);
+  }
+}
+
+// Keep the inferred language - it becomes the user's own choice
+app.action('confirm_inferred_language', async ({ ack, body, client }) => {
+  await ack();
+  
+  const userId = body.user.id;
+  try {
+    // The guess may have been refined since the DM was sent
+    const lang = await getUserLanguage(userId);
+    await setUserLanguage(userId, lang);
+    await recordAudit(userId, `user:${userId}`, 'user.language', lang);
+    await client.chat.update({
+      channel: body.channel.id,
+      ts: body.message.ts,
+      text: `✅ Messages will be translated into ${formatLanguageName(lang)} for you.`,
+      blocks: [
+        {
+          type: "section",
+          text: { type: "mrkdwn", text: `✅ Messages will be translated into *${formatLanguageName(lang)}* for you. Change it anytime with \`/translate-setup\`.` }
+        }
+      ]
+    });
+  } catch (error) {
+    console.error('❌ Language confirmation error:', error);
+  }
+});
+
+app.action('change_inferred_language', async ({ ack, body, client }) => {
+  await ack();
+  
+  try {
+    await openSetupModal(client, body.trigger_id, body.user.id, body.channel.id);
+  } catch (error) {
+    console.error('❌ Setup modal error:', error);
+  }
+});
+
+// Check my translation settings
+app.command('/translate-me', async ({ command, ack, respond }) => {
+  await ack();
+  
+  const action = command.text.trim().toLowerCase();
+  
+  try {
+    // Auto-translation switches: /translate-me on|off|mentions|dms
+    if (Object.hasOwn(AUTO_TRANSLATE_MODES, action)) {
+      await setUserAutoTranslateMode(command.user_id, action);
+      await recordAudit(command.user_id, `user:${command.user_id}`, 'user.auto_translate', action);
+      await respond({
+        text: `✅ Auto-translation: *${AUTO_TRANSLATE_MODES[action]}*`
+      });
+      return;
+    }
+    
+    // Per-channel mute: /translate-me mute|unmute
+    if (action === 'mute' || action === 'unmute') {
+      await setChannelMuted(command.channel_id, command.user_id, action === 'mute');
+      await recordAudit(command.user_id, `user:${command.user_id}`, `user.${action}`, command.channel_id);
+      await respond({
+        text: action === 'mute'
+          ? `🔇 Auto-translation muted for you in this channel. Use \`/translate-me unmute\` to turn it back on.`
+          : `🔊 Auto-translation unmuted for you in this channel.`
+      });
+      return;
+    }
+    
+    if (action) {
+      await respond({
+        text: "*Usage:*\n• `/translate-me` - Show your settings\n• `/translate-me on|off|mentions|dms` - Choose which messages get auto-translated\n• `/translate-me mute|unmute` - Mute auto-translation in this channel"
+      });
+      return;
+    }
+    
+    const userLang = await getUserLanguage(command.user_id);
+    const languageSource = await getUserLanguageSource(command.user_id);
+    const formality = await getFormality('user', command.user_id);
+    const previewMode = await getUserPreviewMode(command.user_id);
+    const [autoModes, mutedUsers, secondaryLangs] = await Promise.all([
+      getUserAutoTranslateModes([command.user_id]),
+      getChannelMutedUsers(command.channel_id),
+      getUserSecondaryLanguages([command.user_id])
+    ]);
+    const alsoReads = secondaryLangs[command.user_id];
+    const autoMode = autoModes[command.user_id];
+    const autoStatus = mutedUsers.has(command.user_id)
+      ? 'Muted in this channel 🔇'
+      : `${AUTO_TRANSLATE_MODES[autoMode]} ${autoMode === 'off' ? '⛔' : '✅'}`;
+    
+    await respond({
+      blocks: [
+        {
+          type: "header",
+          text: {
+            type: "plain_text",
+            text: "🌐 Your Translation Settings"
+          }
+        },
+        {
+          type: "section",
+          fields: [
+            {
+              type: "mrkdwn",
+              text: `*Your Language:*\n${userLang.toUpperCase()}${languageSource === 'inferred' ? ' _(inferred - confirm with `/translate-setup`)_' : ''}`
+            },
+            {
+              type: "mrkdwn",
+              text: `*Auto-Translation:*\n${autoStatus}`
+            },
+            {
+              type: "mrkdwn",
+              text: `*Formality:*\n${formality}`
+            },
+            {
+              type: "mrkdwn",
+              text: `*Also Reads:*\n${alsoReads.length > 0 ? alsoReads.map(l => l.toUpperCase()).join(', ') : 'None'}`
+            },
+            {
+              type: "mrkdwn",
+              text: `*/translate Preview:*\n${previewMode ? 'On' : 'Off'}`
+            }
+          ]
+        },
+        {
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*How it works for you:*\n• Messages in other languages → translated to ${userLang.toUpperCase()}\n• Your messages → auto-translated to match channel language\n• Use \`/translate [text]\` for manual translation`
+          }
+        },
+        {
+          type: "context",
+          elements: [
+            {
+              type: "mrkdwn",
+              text: "_Use `/translate-setup` to change your language or the ones you also read • `/translate-me on|off|mentions|dms` or `mute|unmute` for auto-translation_"
+            }
+          ]
+        }
+      ]
+    });
+  } catch (error) {
+    await respond({
+      text: `❌ Error getting your settings: ${error.message}`
+    });
+  }
+});
+
+// Set channel primary language
+app.command('/translate-channel', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const [action = 'status', arg] = command.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const scope = `channel:${command.channel_id}`;
+  
+  try {
+    // Everything except status changes the channel's settings
+    if (['set', 'detect', 'mode', 'formality', 'files', 'clear'].includes(action)) {
+      await requireChannelManager(client, command.user_id, command.channel_id, 'change channel settings');
+    }
+    
+    if (action === 'set') {
+      if (!arg || !isSupportedLanguage(arg)) {
+        await respond({
+          text: `❌ Please provide a supported language.\nExample: \`/translate-channel set de\`\nSupported languages: ${getSupportedLanguageCodes().join(', ')}`
+        });
+        return;
+      }
+      
+      await setChannelLanguage(command.channel_id, arg);
+      await recordAudit(command.user_id, scope, 'channel.language', arg);
+      await respond({
+        text: `✅ Channel language set to *${arg.toUpperCase()}*. \`/translate\` will now translate into ${arg.toUpperCase()} in this channel.`
+      });
+      return;
+    }
+    
+    if (action === 'detect') {
+      const detectedLang = await detectChannelLanguage(client, command.channel_id, false);
+      await setChannelLanguage(command.channel_id, detectedLang);
+      await recordAudit(command.user_id, scope, 'channel.language', detectedLang);
+      await respond({
+        text: `🔍 Detected *${detectedLang.toUpperCase()}* from recent messages and saved it as this channel's language.`
+      });
+      return;
+    }
+    
+    if (action === 'mode') {
+      if (!Object.hasOwn(CHANNEL_MODES, arg)) {
+        await respond({
+          text: `❌ Please choose a mode: ${Object.keys(CHANNEL_MODES).map(m => `\`${m}\``).join(', ')}.\nExample: \`/translate-channel mode threaded\``
+        });
+        return;
+      }
+      
+      await setChannelMode(command.channel_id, arg);
+      await recordAudit(command.user_id, scope, 'channel.mode', arg);
+      await respond({
+        text: `✅ Channel translation mode set to *${arg}*: ${CHANNEL_MODES[arg]}.`
+      });
+      return;
+    }
+    
+    if (action === 'formality') {
+      if (!Object.hasOwn(FORMALITY_OPTIONS, arg)) {
+        await respond({
+          text: `❌ Please choose a formality: \`formal\`, \`informal\` or \`default\`.\nExample: \`/translate-channel formality formal\``
+        });
+        return;
+      }
+      
+      await setFormality('channel', command.channel_id, arg);
+      await recordAudit(command.user_id, scope, 'channel.formality', arg);
+      await respond({
+        text: `✅ Channel formality set to *${arg}*. Translations posted here use it for ${FORMALITY_LANGUAGES.map(l => l.toUpperCase()).join(', ')}.`
+      });
+      return;
+    }
+    
+    if (action === 'files') {
+      if (arg !== 'on' && arg !== 'off') {
+        await respond({
+          text: "❌ Please choose `on` or `off`.\nExample: `/translate-channel files on`"
+        });
+        return;
+      }
+      
+      await setChannelFileTranslation(command.channel_id, arg === 'on');
+      await recordAudit(command.user_id, scope, 'channel.files', arg);
+      await respond({
+        text: arg === 'on'
+          ? `✅ File translation is *on*. Shared ${DOCUMENT_EXTENSIONS.join(', ')} files and snippets are translated into the channel language in their thread.`
+          : `✅ File translation is *off*. Use the *Translate file* shortcut to translate a file on demand.`
+      });
+      return;
+    }
+    
+    if (action === 'clear') {
+      await clearChannelLanguage(command.channel_id);
+      await recordAudit(command.user_id, scope, 'channel.language', null);
+      await respond({
+        text: `🗑️ Channel language cleared. \`/translate\` will auto-detect the language from recent messages again.`
+      });
+      return;
+    }
+    
+    if (action === 'status') {
+      const configuredLang = await getChannelLanguage(command.channel_id);
+      const detectedLang = channelDetectionCache.get(command.channel_id);
+      const formality = await getFormality('channel', command.channel_id);
+      const mode = await getChannelMode(command.channel_id);
+      const filesOn = await getChannelFileTranslation(command.channel_id);
+      
+      await respond({
+        blocks: [
+          {
+            type: "header",
+            text: {
+              type: "plain_text",
+              text: "📺 Channel Translation Settings"
+            }
+          },
+          {
+            type: "section",
+            fields: [
+              {
+                type: "mrkdwn",
+                text: `*Channel Language:*\n${configuredLang ? configuredLang.toUpperCase() : 'Not set (auto-detect)'}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*Last Detected:*\n${detectedLang ? detectedLang.toUpperCase() : '—'}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*Formality:*\n${formality}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*Translation Mode:*\n${mode} - ${CHANNEL_MODES[mode]}`
+              },
+              {
+                type: "mrkdwn",
+                text: `*File Translation:*\n${filesOn ? 'On' : 'Off'}`
+              }
+            ]
+          },
+          {
+            type: "context",
+            elements: [
+              {
+                type: "mrkdwn",
+                text: "_Use `/translate-channel set [lang]`, `detect`, `clear`, `mode [off|ephemeral|threaded|posted]`, `formality [formal|informal|default]` or `files [on|off]` to change it_"
+              }
+            ]
+          }
+        ]
+      });
+      return;
+    }
+    
+    await respond({
+      text: "*Usage:*\n• `/translate-channel set [lang]` - Always translate into this language here\n• `/translate-channel detect` - Detect from recent messages and save\n• `/translate-channel mode off|ephemeral|threaded|posted` - How incoming translations are shown\n• `/translate-channel formality formal|informal|default` - Formality for posts here\n• `/translate-channel files on|off` - Translate shared documents and snippets\n• `/translate-channel clear` - Go back to auto-detection\n• `/translate-channel status` - Show the current setting"
+    });
+  } catch (error) {
+    if (error instanceof PermissionDeniedError) {
+      await respond({ text: `❌ ${error.message}.` });
+      return;
+    }
+    console.error('❌ Channel settings error:', error);
+    await respond({
+      text: `❌ Error updating channel settings: ${error.message}`
+    });
+  }
+});
+
+// Manage channel glossaries
+app.command('/translate-glossary', async ({ command, ack, respond, client }) => {
+  await ack();
+
+  const usage = "*Usage:*\n• `/translate-glossary add en:de Widget Pro = Widget Pro`\n• `/translate-glossary remove en:de Widget Pro`\n• `/translate-glossary list [en:de]`\n• `/translate-glossary import en:de` followed by one `term = translation` per line";
+  const match = command.text.trim().match(/^(\w+)(?:\s+([a-z]{2}):([a-z]{2}))?\s*([\s\S]*)$/i);
+
+  if (!match) {
+    await respond({ text: usage });
+    return;
+  }
+
+  const action = match[1].toLowerCase();
+  const sourceLang = match[2] ? match[2].toLowerCase() : null;
+  const targetLang = match[3] ? match[3].toLowerCase() : null;
+  const rest = match[4].trim();
+
+  if (sourceLang && (!isSupportedLanguage(sourceLang) || !isSupportedLanguage(targetLang) || sourceLang === targetLang)) {
+    await respond({
+      text: `❌ Invalid language pair '${sourceLang}:${targetLang}'.\nSupported languages: ${getSupportedLanguageCodes().join(', ')}`
+    });
+    return;
+  }
+
+  try {
+    if (action === 'list') {
+      const pairs = sourceLang ? [`${sourceLang}:${targetLang}`] : await getChannelGlossaryPairs(command.channel_id);
+      const sections = [];
+
+      for (const pair of pairs) {
+        const [source, target] = pair.split(':');
+        const glossary = await getChannelGlossary(command.channel_id, source, target);
+        const terms = Object.entries(glossary.entries);
+        if (terms.length === 0) continue;
+
+        sections.push({
+          type: "section",
+          text: {
+            type: "mrkdwn",
+            text: `*${source.toUpperCase()} → ${target.toUpperCase()}* (${terms.length} terms)\n${terms.map(([from, to]) => `• ${from} → ${to}`).join('\n').substring(0, 2900)}`
+          }
+        });
+      }
+
+      if (sections.length === 0) {
+        await respond({ text: `📘 No glossary terms in this channel yet.\n\n${usage}` });
+        return;
+      }
+
+      await respond({
+        blocks: [
+          {
+            type: "header",
+            text: {
+              type: "plain_text",
+              text: "📘 Channel Glossaries"
+            }
+          },
+          ...sections
+        ]
+      });
+      return;
+    }
+
+    if (!sourceLang || !['add', 'remove', 'import'].includes(action)) {
+      await respond({ text: usage });
+      return;
+    }
+    
+    await requireChannelManager(client, command.user_id, command.channel_id, 'change glossaries');
+
+    const glossary = await getChannelGlossary(command.channel_id, sourceLang, targetLang);
+    const entries = { ...glossary.entries };
+    let summary;
+    let changed;
+
+    if (action === 'add') {
+      const added = parseGlossaryEntries(rest.replace(/\n/g, ' '));
+      if (Object.keys(added).length !== 1) {
+        await respond({ text: `❌ Expected one \`term = translation\` pair.\n\n${usage}` });
+        return;
+      }
+      Object.assign(entries, added);
+      changed = added;
+      const [[from, to]] = Object.entries(added);
+      summary = `✅ Added *${from}* → *${to}*`;
+    } else if (action === 'remove') {
+      if (!Object.hasOwn(entries, rest)) {
+        await respond({ text: `❌ '${rest}' is not in the ${sourceLang.toUpperCase()} → ${targetLang.toUpperCase()} glossary` });
+        return;
       }
+      delete entries[rest];
+      changed = rest;
+      summary = `🗑️ Removed *${rest}*`;
+    } else {
+      const imported = parseGlossaryEntries(rest);
+      if (Object.keys(imported).length === 0) {
+        await respond({ text: `❌ No \`term = translation\` pairs found to import.\n\n${usage}` });
+        return;
+      }
+      Object.assign(entries, imported);
+      changed = imported;
+      summary = `✅ Imported ${Object.keys(imported).length} terms`;
     }
+
+    await saveChannelGlossary(command.channel_id, sourceLang, targetLang, entries);
+    await recordAudit(command.user_id, `channel:${command.channel_id}`, `glossary.${action}`, { pair: `${sourceLang}:${targetLang}`, terms: changed });
+
+    await respond({
+      text: `${summary} (${sourceLang.toUpperCase()} → ${targetLang.toUpperCase()} glossary now has ${Object.keys(entries).length} terms)`
+    });
   } catch (error) {
-    console.log('Redis not available for original message retrieval');
+    if (error instanceof PermissionDeniedError) {
+      await respond({ text: `❌ ${error.message}.` });
+      return;
+    }
+    console.error('❌ Glossary error:', error);
+    await respond({
+      text: `❌ Glossary update failed: ${error.message}`
+    });
   }
-  
-  return null;
-}
+});
 
-// SIMPLE INCOMING TRANSLATION - Show any message in your preferred language
-app.message(async ({ message, client }) => {
+// Team phrases served without an API call: /translate-phrases add|remove|list
+app.command('/translate-phrases', async ({ command, ack, respond, client }) => {
+  await ack();
+  
+  const usage = "*Usage:*\n• `/translate-phrases list`\n• `/translate-phrases add lgtm = en: looks good to me; de: sieht gut aus; es: me parece bien`\n• `/translate-phrases remove lgtm`";
+  const [, action = 'list', rest = ''] = command.text.trim().match(/^(\w+)?\s*([\s\S]*)$/);
+  
   try {
-    // Skip bot messages, edits, and system messages
-    if (message.bot_id || message.subtype || !message.text) {
+    if (action.toLowerCase() === 'list') {
+      const teamPhrases = [...customPhrases.values()]
+        .map(({ phrase, translations }) => `• *${phrase}* → ${Object.entries(translations).map(([lang, text]) => `${lang.toUpperCase()}: ${text}`).join(', ')}`);
+      
+      await respond({
+        text: `💬 *Common phrases*\nBuilt-in: ${Object.keys(COMMON_PHRASES).length} phrases in ${Object.keys(DEEPL_LANGUAGES).length} languages (v${COMMON_PHRASES_DATA.version})\n` +
+              `Team phrases: ${teamPhrases.length > 0 ? `\n${teamPhrases.join('\n').substring(0, 2800)}` : '_none yet_'}\n\n${usage}`
+      });
       return;
     }
     
-    // Skip translated messages to avoid loops
-    if (message.text.includes('🌐') || message.text.includes('Translation:') || message.text.includes('Translated from')) {
+    if (!['add', 'remove'].includes(action.toLowerCase())) {
+      await respond({ text: usage });
       return;
     }
     
-    console.log(`📥 Processing message: "${message.text}" from user ${message.user}`);
+    if (!(await isWorkspaceAdmin(client, command.user_id))) {
+      await respond({ text: '❌ Only workspace admins can change team phrases.' });
+      return;
+    }
     
-    // Detect message language
-    const msgLang = await detectLanguage(message.text);
-    console.log(`📝 Message language detected: ${msgLang}`);
+    if (action.toLowerCase() === 'remove') {
+      const removed = await removeCustomPhrase(rest);
+      if (removed) {
+        await recordAudit(command.user_id, 'workspace', 'phrases.remove', splitPhrase(rest).key);
+      }
+      await respond({ text: removed ? `🗑️ Removed team phrase *${splitPhrase(rest).key}*` : `ℹ️ *${splitPhrase(rest).key}* is not a team phrase` });
+      return;
+    }
     
-    // Get channel members to show translations to
-    try {
-      const channelInfo = await client.conversations.members({
-        channel: message.channel,
-        limit: 1000
-      });
-      
-      // For each member (except the sender), check if they need a translation
-      for (const userId of channelInfo.members) {
-        // Skip the sender and bots
-        if (userId === message.user) continue;
-        
-        try {
-          // Get user's preferred language
-          const userLang = await getUserLanguage(userId);
-          console.log(`👤 User ${userId} prefers: ${userLang}, message is: ${msgLang}`);
-          
-          // If message is already in user's language, skip
-          if (msgLang === userLang) {
-            console.log(`✅ Message already in user's language`);
-            continue;
-          }
-          
-          // Translate to user's language
-          const translated = await translateText(message.text, userLang, msgLang);
-          console.log(`🌐 Translated for ${userId}: ${translated.substring(0, 50)}...`);
-          
-          // Show ephemeral translation to this user
-          await client.chat.postEphemeral({
-            channel: message.channel,
-            user: userId,
-            text: translated,
-            blocks: [
-              {
-                type: "section",
-                text: {
-                  type: "mrkdwn",
-                  text: `🌐 *${msgLang.toUpperCase()} → ${userLang.toUpperCase()}*\n${translated}`
-                }
-              }
-            ]
-          });
-          
-          console.log(`✅ Showed translation to ${userId}`);
-          
-        } catch (userError) {
-          console.log(`❌ Error processing translation for user ${userId}:`, userError.message);
-        }
+    // add <phrase> = <lang>: <translation>; <lang>: <translation>
+    const separator = rest.indexOf('=');
+    const phrase = separator > 0 ? rest.substring(0, separator).trim() : '';
+    const translations = {};
+    const invalid = [];
+    
+    for (const part of (separator > 0 ? rest.substring(separator + 1) : '').split(';')) {
+      const match = part.trim().match(/^([a-z]{2}):\s*(.+)$/i);
+      if (!match) continue;
+      const lang = match[1].toLowerCase();
+      if (isSupportedLanguage(lang)) {
+        translations[lang] = match[2].trim();
+      } else {
+        invalid.push(lang);
       }
-      
-    } catch (channelError) {
-      console.log(`❌ Error getting channel members:`, channelError.message);
     }
     
+    if (!phrase || Object.keys(translations).length === 0) {
+      await respond({ text: `❌ Couldn't read that phrase.\n\n${usage}` });
+      return;
+    }
+    
+    const entry = await saveCustomPhrase(phrase, translations, command.user_id);
+    await recordAudit(command.user_id, 'workspace', 'phrases.add', { phrase: entry.phrase, translations });
+    console.log(`💬 Team phrase '${entry.phrase}' saved by ${command.user_id}`);
+    await respond({
+      text: `✅ Team phrase *${entry.phrase}* saved for ${Object.keys(translations).map(lang => lang.toUpperCase()).join(', ')}` +
+            (invalid.length > 0 ? `\n⚠️ Skipped unsupported languages: ${invalid.join(', ')}` : '')
+    });
   } catch (error) {
-    console.error('❌ Translation error:', error);
+    console.error('❌ Team phrase error:', error);
+    await respond({ text: `❌ Team phrase update failed: ${error.message}` });
   }
 });
 
-// SIMPLE OUTGOING TRANSLATION - /translate command
-app.command('/translate', async ({ command, ack, respond, client }) => {
+// Roles and the audit log: /translate-admin [list] | grant|revoke admin|manager @someone | audit [channel]
+app.command('/translate-admin', async ({ command, ack, respond, client }) => {
   await ack();
   
-  const messageText = command.text.trim();
-  if (!messageText) {
-    await respond({
-      text: "Please provide a message to translate.\nExample: `/translate guten tag alle zusammen`"
-    });
-    return;
-  }
+  const usage = "*Usage:*\n• `/translate-admin` - Show admins and this channel's managers\n• `/translate-admin grant admin @someone` / `revoke admin @someone` - Workspace admins\n• `/translate-admin grant manager @someone` / `revoke manager @someone` - Managers of this channel\n• `/translate-admin audit [channel]` - Recent settings changes";
+  const [action = 'list', role = '', mention = ''] = command.text.trim().split(/\s+/).filter(Boolean)
+    .map((arg, index) => (index < 2 ? arg.toLowerCase() : arg));
+  const formatUsers = ids => (ids.length > 0 ? ids.map(id => `<@${id}>`).join(', ') : '_none_');
   
   try {
-    console.log(`🔍 Processing /translate command: "${messageText}"`);
-    
-    // Detect channel language from recent messages
-    const channelLang = await detectChannelLanguage(client, command.channel_id);
-    console.log(`📺 Channel ${command.channel_id} speaking: ${channelLang}`);
-    
-    // If user's message is already in channel language, just post as-is
-    console.log(`🔍 Detecting language of message: "${messageText}"`);
-    const detectedLang = await detectLanguage(messageText);
-    console.log(`📝 Message language detected as: ${detectedLang}`);
-    if (detectedLang === channelLang) {
-      console.log(`✅ Message already in channel language, posting as-is`);
+    if (action === 'list') {
+      const [grantedAdmins, managers] = await Promise.all([
+        getRoleMembers('roles:admins'),
+        getRoleMembers(`roles:channel:${command.channel_id}`)
+      ]);
       
-      // Get user info to show who wrote the message
-      console.log(`👤 Getting user info for: ${command.user_id}`);
-      const userInfo = await client.users.info({ user: command.user_id });
-      const userName = userInfo.user.real_name || userInfo.user.display_name || userInfo.user.name;
-      console.log(`👤 User name resolved: ${userName}`);
-      
-      console.log(`📤 Posting message as-is to channel: ${command.channel_id}`);
-      await client.chat.postMessage({
-        channel: command.channel_id,
-        text: `*${userName}:* ${messageText}`,
-        blocks: [
-          {
-            type: "section",
-            text: {
-              type: "mrkdwn",
-              text: `*${userName}:* ${messageText}`
-            }
-          }
-        ]
+      await respond({
+        text: `🛡️ *Slacklator roles*\n` +
+              `• Admins from ADMIN_USER_IDS: ${formatUsers(ADMIN_USER_IDS)}\n` +
+              `• Granted admins: ${formatUsers(grantedAdmins)}\n` +
+              `• Managers of this channel: ${formatUsers(managers)}\n` +
+              `_Slack workspace admins and owners are always Slacklator admins._\n\n${usage}`
       });
-      console.log(`✅ Message posted successfully`);
+      return;
+    }
+    
+    if (action === 'audit') {
+      // Channel managers can read their channel's history, the full log is for admins
+      const channelOnly = role === 'channel';
+      if (channelOnly) {
+        await requireChannelManager(client, command.user_id, command.channel_id, "view this channel's audit log");
+      } else {
+        await requireWorkspaceAdmin(client, command.user_id, 'view the audit log');
+      }
+      
+      const entries = await getAuditLog(20, channelOnly ? `channel:${command.channel_id}` : null);
+      const formatScope = scope => (scope === 'workspace'
+        ? 'workspace'
+        : scope.startsWith('channel:') ? `<#${scope.substring(8)}>` : `<@${scope.substring(5)}>`);
+      const lines = entries.map(({ at, userId, scope, action: setting, value }) =>
+        `• ${at.substring(0, 16).replace('T', ' ')} <@${userId}> *${setting}* ${formatScope(scope)} → \`${JSON.stringify(value)}\``
+      );
       
       await respond({
-        text: `✅ Message posted (no translation needed - already in ${channelLang.toUpperCase()})`,
-        response_type: "ephemeral"
+        text: `📝 *Latest settings changes${channelOnly ? ' in this channel' : ''}*\n${lines.length > 0 ? lines.join('\n').substring(0, 2900) : '_nothing recorded yet_'}`
       });
       return;
     }
     
-    // Translate message to channel language
-    console.log(`🌐 Translating "${messageText}" from ${detectedLang} to ${channelLang}`);
-    const translated = await translateText(messageText, channelLang, detectedLang);
-    console.log(`🌐 Translated "${messageText}" to: ${translated}`);
-    
-    // Get user info to show who wrote the message
-    console.log(`👤 Getting user info for translated message: ${command.user_id}`);
-    const userInfo = await client.users.info({ user: command.user_id });
-    const userName = userInfo.user.real_name || userInfo.user.display_name || userInfo.user.name;
-    console.log(`👤 User name: ${userName}`);
+    const target = mention.match(/^<?@?(U[A-Z0-9]+)/);
+    if (!['grant', 'revoke'].includes(action) || !['admin', 'manager'].includes(role) || !target) {
+      await respond({ text: usage });
+      return;
+    }
     
-    // Post translated message to channel
-    console.log(`📤 Posting translated message to channel: ${command.channel_id}`);
-    const postResult = await client.chat.postMessage({
-      channel: command.channel_id,
-      text: translated,
-      blocks: [
-        {
-          type: "section",
-          text: {
-            type: "mrkdwn",
-            text: `*${userName}:* ${translated}`
-          }
-        },
-        {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: `_Translated from ${detectedLang.toUpperCase()} to ${channelLang.toUpperCase()} via DeepL_`
-            }
-          ]
-        }
-      ]
-    });
-    console.log(`✅ Translated message posted successfully`);
+    const targetId = target[1];
+    const granted = action === 'grant';
+    if (role === 'admin') {
+      await requireWorkspaceAdmin(client, command.user_id, 'grant or revoke admins');
+      if (!granted && ADMIN_USER_IDS.includes(targetId)) {
+        await respond({ text: `ℹ️ <@${targetId}> is an admin through ADMIN_USER_IDS - remove them there.` });
+        return;
+      }
+    } else {
+      await requireChannelManager(client, command.user_id, command.channel_id, 'grant or revoke channel managers');
+    }
     
-    // Store original message for /translate commands
-    await storeOriginalMessage(command.channel_id, postResult.ts, messageText, detectedLang, translated, channelLang);
+    const scope = role === 'admin' ? 'workspace' : `channel:${command.channel_id}`;
+    const roleKey = role === 'admin' ? 'roles:admins' : `roles:channel:${command.channel_id}`;
+    const changed = await setRole(roleKey, targetId, granted);
+    if (changed) {
+      await recordAudit(command.user_id, scope, `role.${action}`, { role, userId: targetId });
+    }
     
+    const roleName = role === 'admin' ? 'a Slacklator admin' : 'a manager of this channel';
     await respond({
-      text: `✅ Message translated and posted!`,
-      response_type: "ephemeral"
+      text: changed
+        ? `✅ <@${targetId}> is ${granted ? 'now' : 'no longer'} ${roleName}`
+        : `ℹ️ <@${targetId}> ${granted ? 'already is' : 'is not'} ${roleName}`
     });
-    console.log(`✅ Command completed successfully`);
-    
   } catch (error) {
-    console.error('❌ Translation error:', error);
-    console.error('❌ Error stack:', error.stack);
+    if (error instanceof PermissionDeniedError) {
+      await respond({ text: `❌ ${error.message}.` });
+      return;
+    }
+    console.error('❌ Admin command error:', error);
     await respond({
-      text: `❌ Translation failed: ${error.message}`
+      text: `❌ Role update failed: ${error.message}`
     });
   }
 });
 
-// SLASH COMMANDS
+// Check DeepL usage: /translate-usage [today|week|month|csv [week|month]]
+// Budgets: /translate-usage budget [workspace|channel|user @someone] [chars|off|default]
+const USAGE_PERIODS = { today: 1, week: 7, month: 30 };
 
-// Set user language preference
-app.command('/translate-setup', async ({ command, ack, respond }) => {
+// Describe a scope's budget, e.g. "12,000 / 500,000 characters (2%)"
+async function formatBudgetStatus(scope) {
+  const budget = await getBudget(scope);
+  const used = await getMonthlyCharacters(scope);
+  return budget
+    ? `${used.toLocaleString()} / ${budget.toLocaleString()} characters (${Math.round((used / budget) * 100)}%)`
+    : `${used.toLocaleString()} characters (no limit)`;
+}
+
+app.command('/translate-usage', async ({ command, ack, respond, client }) => {
   await ack();
   
-  const lang = command.text.trim().toLowerCase();
+  const args = command.text.trim().toLowerCase().split(/\s+/).filter(Boolean);
   
-  if (!lang) {
-    // Show current preference and available languages
-    const currentLang = await getUserLanguage(command.user_id);
-    const supportedLangs = Object.keys(DEEPL_LANGUAGES).sort();
+  try {
+    if (args[0] === 'budget') {
+      const [, dimension, ...rest] = command.text.trim().split(/\s+/);
+      
+      if (!dimension) {
+        await respond({
+          text: `💸 *Monthly translation budgets (${getUsageMonth()})*\n` +
+                `• Workspace: ${await formatBudgetStatus('workspace')}\n` +
+                `• This channel: ${await formatBudgetStatus(`channel:${command.channel_id}`)}\n` +
+                `• You: ${await formatBudgetStatus(`user:${command.user_id}`)}\n` +
+                `_Over a budget only cached translations and common phrases are served. Admins are alerted at ${BUDGET_WARNING_PERCENT}% and at the cap._`
+        });
+        return;
+      }
+      
+      let scope;
+      if (dimension.toLowerCase() === 'workspace') {
+        scope = 'workspace';
+      } else if (dimension.toLowerCase() === 'channel') {
+        scope = `channel:${command.channel_id}`;
+      } else if (dimension.toLowerCase() === 'user') {
+        const mention = (rest.shift() || '').match(/^<?@?(U[A-Z0-9]+)/);
+        if (!mention) {
+          await respond({ text: '❌ Usage: `/translate-usage budget user @someone [chars|off|default]`' });
+          return;
+        }
+        scope = `user:${mention[1]}`;
+      } else {
+        await respond({ text: '❌ Usage: `/translate-usage budget [workspace|channel|user @someone] [chars|off|default]`' });
+        return;
+      }
+      
+      const value = (rest[0] || '').toLowerCase().replace(/[,_]/g, '');
+      if (!value) {
+        await respond({ text: `💸 ${formatBudgetScope(scope)}: ${await formatBudgetStatus(scope)}` });
+        return;
+      }
+      if (value !== 'off' && value !== 'default' && !/^\d+$/.test(value)) {
+        await respond({ text: '❌ Budget must be a number of characters per month, `off` or `default`' });
+        return;
+      }
+      
+      // Channel budgets are the channel managers' call; workspace and per-user caps are the admins'
+      if (scope.startsWith('channel:')) {
+        await requireChannelManager(client, command.user_id, command.channel_id, 'change channel budgets');
+      } else {
+        await requireWorkspaceAdmin(client, command.user_id, scope === 'workspace' ? 'change the workspace budget' : 'change user budgets');
+      }
+      
+      const chars = value === 'default' ? null : value === 'off' ? 0 : parseInt(value);
+      await setBudget(scope, chars);
+      await recordAudit(command.user_id, scope, 'budget', chars);
+      console.log(`💸 Budget for ${scope} set to ${value} by ${command.user_id}`);
+      await respond({ text: `✅ Budget updated - ${formatBudgetScope(scope)}: ${await formatBudgetStatus(scope)}` });
+      return;
+    }
     
-    await respond({
-      blocks: [
-        {
-          type: "section",
-          text: {
+    // CSV export, sent to the requester as a DM file - it lists every channel and user, so admins only
+    if (args[0] === 'csv') {
+      await requireWorkspaceAdmin(client, command.user_id, 'export usage');
+      const period = Object.hasOwn(USAGE_PERIODS, args[1]) ? args[1] : 'month';
+      const csv = buildUsageCsv(await getUsageHistory(USAGE_PERIODS[period]));
+      const filename = `slacklator-usage-${period}-${getUsageDay()}.csv`;
+      
+      try {
+        const dm = await client.conversations.open({ users: command.user_id });
+        await client.files.uploadV2({
+          channel_id: dm.channel.id,
+          filename,
+          title: `Slacklator usage (${period})`,
+          content: csv,
+          initial_comment: `📊 Usage export for the last ${USAGE_PERIODS[period]} day(s)`
+        });
+        await respond({ text: `✅ Sent \`${filename}\` to your DMs` });
+      } catch (error) {
+        console.log('⚠️ Usage CSV upload failed, responding inline:', error.message);
+        const preview = csv.length > 2900 ? `${csv.substring(0, 2900)}\n…` : csv;
+        await respond({ text: `📊 Usage export (${period}):\n\`\`\`${preview}\`\`\`` });
+      }
+      return;
+    }
+    
+    const period = Object.hasOwn(USAGE_PERIODS, args[0]) ? args[0] : 'today';
+    const totals = sumUsage(await getUsageHistory(USAGE_PERIODS[period]));
+    const apiCalls = totals.api_calls || 0;
+    const cacheHits = totals.cache_hits || 0;
+    const commonPhrases = totals.common_phrases || 0;
+    const characters = totals.characters || 0;
+    
+    const usage = await translationProvider.getUsage();
+    const percentage = Math.round((usage.character.count / usage.character.limit) * 100);
+    const totalRequests = apiCalls + cacheHits + commonPhrases;
+    const apiSavings = totalRequests > 0 ? Math.round(((cacheHits + commonPhrases) / totalRequests) * 100) : 0;
+    const periodLabel = period === 'today' ? 'Today' : `Last ${USAGE_PERIODS[period]} days`;
+    
+    const blocks = [
+      {
+        type: "header",
+        text: {
+          type: "plain_text",
+          text: `📊 ${translationProvider.label} Usage & Cost Optimization`
+        }
+      },
+      {
+        type: "section",
+        fields: [
+          {
             type: "mrkdwn",
-            text: `🌐 *Your current language: ${currentLang.toUpperCase()}*`
-          }
-        },
-        {
-          type: "section",
-          text: {
+            text: `*Characters Used:*\n${usage.character.count.toLocaleString()}`
+          },
+          {
             type: "mrkdwn",
-            text: `*To change your language:*\n\`/translate-setup [language]\`\n\nExample: \`/translate-setup es\``
-          }
-        },
-        {
-          type: "section",
-          text: {
+            text: `*Character Limit:*\n${usage.character.limit.toLocaleString()}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Usage:*\n${percentage}%`
+          },
+          {
             type: "mrkdwn",
-            text: `*Supported languages:*\n${supportedLangs.join(', ')}`
+            text: `*Remaining:*\n${(usage.character.limit - usage.character.count).toLocaleString()}`
           }
-        }
-      ]
-    });
-    return;
-  }
-  
-  if (!DEEPL_LANGUAGES[lang]) {
-    await respond({
-      text: `❌ Language '${lang}' is not supported by DeepL.\nSupported languages: ${Object.keys(DEEPL_LANGUAGES).sort().join(', ')}`
-    });
-    return;
-  }
-  
-  // Store preference
-  await setUserLanguage(command.user_id, lang);
-  
-  await respond({
-    blocks: [
+        ]
+      },
       {
-        type: "section",
-        text: {
-          type: "mrkdwn",
-          text: `🎉 *Success! Your language is now set to: ${lang.toUpperCase()}*`
-        }
+        type: "divider"
       },
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: `✅ *What happens now:*\n• All messages in other languages will be automatically translated to ${lang.toUpperCase()} for you\n• Your messages will be auto-translated to match each channel's language\n• Use \`/translate [message]\` to manually translate and post`
+          text: `*💰 Cost Optimization (${periodLabel})*`
         }
       },
       {
-        type: "context",
-        elements: [
+        type: "section",
+        fields: [
           {
             type: "mrkdwn",
-            text: "💡 _Use `/translate-me` to check your settings anytime_"
-          }
-        ]
-      }
-    ]
-  });
-});
-
-// Check my translation settings
-app.command('/translate-me', async ({ command, ack, respond }) => {
-  await ack();
-  
-  try {
-    const userLang = await getUserLanguage(command.user_id);
-    
-    await respond({
-      blocks: [
-        {
-          type: "header",
-          text: {
-            type: "plain_text",
-            text: "🌐 Your Translation Settings"
-          }
-        },
-        {
-          type: "section",
-          fields: [
-            {
-              type: "mrkdwn",
-              text: `*Your Language:*\n${userLang.toUpperCase()}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Auto-Translation:*\nEnabled ✅`
-            }
-          ]
-        },
-        {
-          type: "section",
-          text: {
+            text: `*API Calls:*\n${apiCalls.toLocaleString()}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Cache Hits:*\n${cacheHits.toLocaleString()}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Common Phrases:*\n${commonPhrases.toLocaleString()}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*API Savings:*\n${apiSavings}%`
+          },
+          {
             type: "mrkdwn",
-            text: `*How it works for you:*\n• Messages in other languages → translated to ${userLang.toUpperCase()}\n• Your messages → auto-translated to match channel language\n• Use \`/translate [text]\` for manual translation`
+            text: `*Characters Billed:*\n${characters.toLocaleString()}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Estimated Cost:*\n${formatUsageCost(characters)}`
           }
-        },
-        {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: "_Use `/translate-setup [lang]` to change your language_"
-            }
-          ]
-        }
-      ]
-    });
-  } catch (error) {
-    await respond({
-      text: `❌ Error getting your settings: ${error.message}`
-    });
-  }
-});
-
-// Set channel primary language
-app.command('/translate-channel', async ({ command, ack, respond, client }) => {
-  await ack();
-  
-  await respond({
-    text: `ℹ️ *Channel language is now auto-detected!*\n\nNo need to set it manually - when you use \`/translate\`, it automatically detects what language people are speaking in this channel from recent messages.\n\nJust use:\n• \`/translate [your message]\` - Auto-detects channel language and translates\n• \`/translate-setup [lang]\` - Set your personal language`
-  });
-});
-
-// Check DeepL usage
-app.command('/translate-usage', async ({ command, ack, respond }) => {
-  await ack();
-  
-  try {
-    const usage = await translator.getUsage();
-    const percentage = Math.round((usage.character.count / usage.character.limit) * 100);
-    const totalRequests = apiCallsToday + cacheHitsToday + commonPhrasesUsed;
-    const apiSavings = totalRequests > 0 ? Math.round(((cacheHitsToday + commonPhrasesUsed) / totalRequests) * 100) : 0;
+        ]
+      }
+    ];
     
-    await respond({
-      blocks: [
-        {
-          type: "header",
-          text: {
-            type: "plain_text",
-            text: "📊 DeepL API Usage & Cost Optimization"
+    // Spend attribution for longer periods
+    if (period !== 'today') {
+      const formatTop = (dimension, render) => {
+        const top = topUsage(totals, dimension);
+        return top.length > 0
+          ? top.map(({ id, characters: chars }) => `${render(id)}: ${chars.toLocaleString()} chars (${formatUsageCost(chars)})`).join('\n')
+          : '_No usage_';
+      };
+      
+      blocks.push({
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Top Channels:*\n${formatTop('channel', id => `<#${id}>`)}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Top Users:*\n${formatTop('user', id => `<@${id}>`)}`
+          },
+          {
+            type: "mrkdwn",
+            text: `*Top Languages:*\n${formatTop('lang', id => id.toUpperCase())}`
           }
-        },
-        {
-          type: "section",
-          fields: [
-            {
-              type: "mrkdwn",
-              text: `*Characters Used:*\n${usage.character.count.toLocaleString()}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Character Limit:*\n${usage.character.limit.toLocaleString()}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Usage:*\n${percentage}%`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Remaining:*\n${(usage.character.limit - usage.character.count).toLocaleString()}`
-            }
-          ]
-        },
-        {
-          type: "divider"
-        },
-        {
-          type: "section",
-          text: {
+        ]
+      });
+    }
+    
+    blocks.push(
+      {
+        type: "section",
+        fields: [
+          {
+            type: "mrkdwn",
+            text: `*Memory Cache:*\n${formatHitRate(cacheStats.memory)} (${translationCache.keys().length.toLocaleString()} / ${CACHE_MEMORY_MAX_KEYS.toLocaleString()} keys)`
+          },
+          {
             type: "mrkdwn",
-            text: "*💰 Cost Optimization (Today)*"
+            text: `*Redis Cache:*\n${redisClient && redisAvailable ? formatHitRate(cacheStats.redis) : 'Not connected'}`
           }
-        },
-        {
-          type: "section",
-          fields: [
-            {
-              type: "mrkdwn",
-              text: `*API Calls:*\n${apiCallsToday}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Cache Hits:*\n${cacheHitsToday}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*Common Phrases:*\n${commonPhrasesUsed}`
-            },
-            {
-              type: "mrkdwn",
-              text: `*API Savings:*\n${apiSavings}%`
-            }
-          ]
-        },
-        {
-          type: "context",
-          elements: [
-            {
-              type: "mrkdwn",
-              text: `_Smart caching active • ${frequentTranslations.size} learned phrases • Channel detection: 3 messages max_`
-            }
-          ]
-        }
-      ]
-    });
+        ]
+      },
+      {
+        type: "context",
+        elements: [
+          {
+            type: "mrkdwn",
+            text: `_Provider: ${translationProvider.label} • Smart caching active • ${frequentTranslations.size} learned phrases • Cost estimate: ${formatUsageCost(1000000)} per 1M characters • Try \`week\`, \`month\` or \`csv\`_`
+          }
+        ]
+      }
+    );
+    
+    await respond({ blocks });
   } catch (error) {
+    if (error instanceof PermissionDeniedError) {
+      await respond({ text: `❌ ${error.message}.` });
+      return;
+    }
     await respond({
       text: `❌ Error fetching usage: ${error.message}`
     });
@@ -920,11 +5136,13 @@ app.shortcut('translate_message', async ({ shortcut, ack, client }) => {
     });
     
     const message = result.messages[0];
-    if (!message || !message.text) {
+    const content = message ? getMessageContent(message) : null;
+    if (!content || content.segments.length === 0) {
       throw new Error('Message not found');
     }
     
-    const msgLang = await detectLanguage(message.text);
+    const msgLang = await detectLanguage(content.text);
+    const formality = await resolveFormality({ userId: shortcut.user.id, channelId: channel });
     
     // Translate to common languages
     const targetLangs = ['en', 'es', 'de', 'fr', 'it', 'pt'].filter(l => l !== msgLang);
@@ -933,7 +5151,12 @@ app.shortcut('translate_message', async ({ shortcut, ack, client }) => {
     await Promise.all(
       targetLangs.map(async (lang) => {
         try {
-          translations[lang] = await translateText(message.text, lang, msgLang);
+          const rendered = await translateMessageContent(message, content, lang, msgLang, {
+            channelId: channel,
+            userId: shortcut.user.id,
+            formality
+          });
+          translations[lang] = rendered.text;
         } catch (error) {
           translations[lang] = `Error: ${error.message}`;
         }
@@ -953,7 +5176,7 @@ app.shortcut('translate_message', async ({ shortcut, ack, client }) => {
         type: 'section',
         text: {
           type: 'mrkdwn',
-          text: message.text.substring(0, 3000) // Slack limit
+          text: content.text.substring(0, 3000) // Slack limit
         }
       },
       {
@@ -993,6 +5216,102 @@ app.shortcut('translate_message', async ({ shortcut, ack, client }) => {
   }
 });
 
+// Reply translated: slash commands can't run inside a thread, so this message shortcut carries the
+// thread and opens a compose modal; the reply is posted into the thread in the thread's language
+app.shortcut('translate_reply', async ({ shortcut, ack, client }) => {
+  await ack();
+  
+  try {
+    await client.views.open({
+      trigger_id: shortcut.trigger_id,
+      view: {
+        type: "modal",
+        callback_id: "translate_reply",
+        private_metadata: JSON.stringify({
+          channelId: shortcut.channel.id,
+          threadTs: shortcut.message.thread_ts || shortcut.message.ts
+        }),
+        title: { type: "plain_text", text: "Reply translated" },
+        submit: { type: "plain_text", text: "Reply" },
+        close: { type: "plain_text", text: "Cancel" },
+        blocks: [
+          {
+            type: "input",
+            block_id: "reply",
+            label: { type: "plain_text", text: "Your reply" },
+            hint: { type: "plain_text", text: "Translated into the thread's language and posted in the thread." },
+            element: {
+              type: "plain_text_input",
+              action_id: "text",
+              multiline: true
+            }
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('❌ Reply translated modal error:', error);
+  }
+});
+
+app.view('translate_reply', async ({ ack, body, view, client }) => {
+  const messageText = (view.state.values.reply.text.value || '').trim();
+  if (!messageText) {
+    await ack({ response_action: 'errors', errors: { reply: 'Please write a reply to translate.' } });
+    return;
+  }
+  
+  await ack();
+  
+  const userId = body.user.id;
+  const { channelId, threadTs } = JSON.parse(view.private_metadata);
+  
+  // No response_url here, so feedback goes to the author as an ephemeral in the thread
+  const respond = ({ response_type, ...message }) => client.chat.postEphemeral({
+    channel: channelId,
+    user: userId,
+    thread_ts: threadTs,
+    ...message
+  });
+  
+  await translateAndPost(client, respond, {
+    userId,
+    channelId,
+    threadTs,
+    messageText
+  });
+});
+
+// Translate a message's files into your language, uploaded into its thread
+app.shortcut('translate_file', async ({ shortcut, ack, client }) => {
+  await ack();
+  
+  const channel = shortcut.channel.id;
+  const userId = shortcut.user.id;
+  const message = { ...shortcut.message, channel };
+  const notify = text => client.chat.postEphemeral({ channel, user: userId, thread_ts: message.thread_ts, text });
+  
+  try {
+    if (!message.files || message.files.length === 0) {
+      await notify('📄 This message has no files to translate.');
+      return;
+    }
+    
+    const targetLang = await getUserLanguage(userId);
+    const formality = await resolveFormality({ userId, channelId: channel });
+    await notify(`⏳ Translating ${message.files.length} file${message.files.length === 1 ? '' : 's'} to ${targetLang.toUpperCase()}...`);
+    
+    const results = await translateMessageFiles(client, message, targetLang, { userId, formality });
+    const icons = { translated: '✅', skipped: '⏭️', failed: '❌' };
+    await notify(results.map(({ name, status, filename, reason }) =>
+      `${icons[status]} *${name}*: ${status === 'translated' ? `posted ${filename} in the thread` : reason}`
+    ).join('\n'));
+  } catch (error) {
+    console.error('File translation error:', error);
+    await notify(`❌ File translation failed: ${error.message}`).catch(() => {});
+  }
+});
+
 // View original message for /translate posts
 app.shortcut('view_original', async ({ shortcut, ack, client }) => {
   await ack();
@@ -1083,7 +5402,7 @@ app.shortcut('view_original', async ({ shortcut, ack, client }) => {
             elements: [
               {
                 type: 'mrkdwn',
-                text: `_Translated via DeepL • ${new Date(originalData.timestamp).toLocaleString()}_`
+                text: `_Translated via ${translationProvider.label}${originalData.edited ? ' • edited by the author before posting' : ''} • ${new Date(originalData.timestamp).toLocaleString()}_`
               }
             ]
           }
@@ -1120,21 +5439,21 @@ app.command('/translate-help', async ({ command, ack, respond }) => {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "• `/translate-setup [language]` - Set your preferred language\n• `/translate-me` - Check your current translation settings\n• `/translate [message]` - Translate and post your message\n• `/translate-usage` - Check DeepL API usage\n• `/translate-help` - Show this help"
+          text: "• `/translate-setup [language]` - Set your preferred language (no language opens a picker)\n• `/translate-setup also [languages]` - Languages you read without translation\n• `/translate-me` - Check your current translation settings\n• `/translate-me on|off|mentions|dms|mute|unmute` - Control automatic translation\n• `/translate [message]` - Translate and post your message (add `--formal` or `--informal` for a one-off tone, `--preview` to review it first)\n• `/translate-setup preview on|off` - Always review `/translate` drafts before posting\n• `/translate-channel set|detect|clear|status|mode|formality` - Configure this channel\n• `/translate-glossary add|remove|list|import` - Manage this channel's glossary\n• `/translate-phrases add|remove|list` - Team phrases translated without an API call\n• `/translate-usage [week|month|csv|budget]` - Check DeepL API usage and costs\n• `/translate-admin [grant|revoke|audit]` - Admins, channel managers and the settings audit log\n• `/translate-help` - Show this help"
         }
       },
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*How it works:*\n1. *Incoming*: Messages in other languages automatically appear translated for you\n2. *Outgoing*: Use `/translate hello` to automatically detect what language the channel is speaking and translate your message\n3. *Smart*: No setup needed - channel language auto-detected from recent messages"
+          text: "*How it works:*\n1. *Incoming*: Messages in other languages automatically appear translated for you\n2. *Outgoing*: Use `/translate hello` to automatically detect what language the channel is speaking and translate your message\n3. *Smart*: Channel language comes from `/translate-channel set`, or is auto-detected from recent messages"
         }
       },
       {
         type: "section",
         text: {
           type: "mrkdwn",
-          text: "*Message Actions:*\n• Right-click any message → 'Translate message' to view in all languages\n• Right-click translated messages → 'View original' to see the original text before translation"
+          text: "*Message Actions:*\n• Right-click any message → 'Translate message' to view in all languages\n• Right-click translated messages → 'View original' to see the original text before translation\n• 'Reply translated' on a message in a thread → write a reply that's posted there in the thread's language\n\n*App Home:* Open Slacklator in the sidebar to change your settings from its Home tab"
         }
       },
       {
@@ -1142,7 +5461,7 @@ app.command('/translate-help', async ({ command, ack, respond }) => {
         elements: [
           {
             type: "mrkdwn",
-            text: `Supported languages: ${Object.keys(DEEPL_LANGUAGES).sort().join(', ')}`
+            text: `Supported languages: ${getSupportedLanguageCodes().join(', ')}`
           }
         ]
       }
@@ -1150,6 +5469,156 @@ app.command('/translate-help', async ({ command, ack, respond }) => {
   });
 });
 
+// APP HOME - personal settings for everyone, workspace usage for admins
+const HOME_CHART_DAYS = 14;
+const HOME_CHART_WIDTH = 20;
+
+// Billed characters per day as a text bar chart (monospace, fits one section)
+function buildUsageChart(history) {
+  const max = Math.max(1, ...history.map(({ counters }) => counters.characters || 0));
+  return history.map(({ day, counters }) => {
+    const characters = counters.characters || 0;
+    const bar = '█'.repeat(Math.round((characters / max) * HOME_CHART_WIDTH));
+    return `${day.substring(5)} ${bar.padEnd(HOME_CHART_WIDTH, '·')} ${characters.toLocaleString()}`;
+  }).join('\n');
+}
+
+// Select options from a { value: label } table, with the current value preselected
+function buildSelectOptions(choices, selected) {
+  const options = Object.entries(choices).map(([value, label]) => ({
+    text: { type: "plain_text", text: label },
+    value
+  }));
+  const initial = options.find(option => option.value === selected);
+  return { options, ...(initial ? { initial_option: initial } : {}) };
+}
+
+async function buildHomeView(client, userId) {
+  const [lang, autoModes, formality, isAdmin] = await Promise.all([
+    getUserLanguage(userId),
+    getUserAutoTranslateModes([userId]),
+    getFormality('user', userId),
+    isWorkspaceAdmin(client, userId)
+  ]);
+  const languages = Object.fromEntries(getSupportedLanguageCodes().map(code => [code, formatLanguageName(code)]));
+  const formalities = Object.fromEntries(Object.keys(FORMALITY_OPTIONS).map(f => [f, f.charAt(0).toUpperCase() + f.slice(1)]));
+  
+  const blocks = [
+    {
+      type: "header",
+      text: { type: "plain_text", text: "🌐 Slacklator" }
+    },
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "Your personal translation settings - changes are saved right away." }]
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "*Your language*\nMessages in other languages are translated into it" },
+      accessory: { type: "static_select", action_id: "home_language", ...buildSelectOptions(languages, toPickerLanguage(lang)) }
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: "*Automatic translation*\nWhich messages get translated for you" },
+      accessory: { type: "radio_buttons", action_id: "home_auto_translate", ...buildSelectOptions(AUTO_TRANSLATE_MODES, autoModes[userId]) }
+    },
+    {
+      type: "section",
+      text: { type: "mrkdwn", text: `*Formality*\nFor ${FORMALITY_LANGUAGES.map(l => l.toUpperCase()).join(', ')}` },
+      accessory: { type: "static_select", action_id: "home_formality", ...buildSelectOptions(formalities, formality) }
+    },
+    {
+      type: "context",
+      elements: [{ type: "mrkdwn", text: "_Mute a single channel with `/translate-me mute` in that channel._" }]
+    }
+  ];
+  
+  // Admins also see the last two weeks of usage, from the same counters as /translate-usage
+  if (isAdmin) {
+    const history = await getUsageHistory(HOME_CHART_DAYS);
+    const totals = sumUsage(history);
+    const topLanguages = topUsage(totals, 'lang', 3)
+      .map(({ id, characters }) => `${id.toUpperCase()} ${characters.toLocaleString()}`)
+      .join(' · ');
+    
+    blocks.push(
+      { type: "divider" },
+      {
+        type: "header",
+        text: { type: "plain_text", text: `📊 Workspace usage (last ${HOME_CHART_DAYS} days)` }
+      },
+      {
+        type: "section",
+        fields: [
+          { type: "mrkdwn", text: `*Characters Billed:*\n${(totals.characters || 0).toLocaleString()}` },
+          { type: "mrkdwn", text: `*Estimated Cost:*\n${formatUsageCost(totals.characters || 0)}` },
+          { type: "mrkdwn", text: `*API Calls:*\n${(totals.api_calls || 0).toLocaleString()}` },
+          { type: "mrkdwn", text: `*Cache Hits:*\n${(totals.cache_hits || 0).toLocaleString()}` }
+        ]
+      },
+      {
+        type: "section",
+        text: { type: "mrkdwn", text: `\`\`\`${buildUsageChart(history)}\`\`\`` }
+      },
+      {
+        type: "context",
+        elements: [{
+          type: "mrkdwn",
+          text: `Workspace budget: ${await formatBudgetStatus('workspace')}${topLanguages ? ` • Top languages: ${topLanguages}` : ''} • More with \`/translate-usage\``
+        }]
+      }
+    );
+  }
+  
+  return { type: 'home', blocks };
+}
+
+async function publishHome(client, userId) {
+  await client.views.publish({ user_id: userId, view: await buildHomeView(client, userId) });
+}
+
+app.event('app_home_opened', async ({ event, client }) => {
+  if (event.tab !== 'home') {
+    return;
+  }
+  
+  try {
+    await publishHome(client, event.user);
+  } catch (error) {
+    console.error('❌ App Home error:', error);
+  }
+  
+  // Opening the tab counts as a first touch for language inference; redraw if it picked a language
+  inferUserLanguage(client, event.user)
+    .then(changed => changed && publishHome(client, event.user))
+    .catch(error => {
+      console.log(`❌ Language inference failed for ${event.user}:`, error.message);
+    });
+});
+
+// App Home settings save through the same helpers as the slash commands, then the tab is redrawn
+const HOME_SETTINGS = {
+  home_language: { setting: 'user.language', save: (userId, value) => setUserLanguage(userId, value) },
+  home_auto_translate: { setting: 'user.auto_translate', save: (userId, value) => setUserAutoTranslateMode(userId, value) },
+  home_formality: { setting: 'user.formality', save: (userId, value) => setFormality('user', userId, value) }
+};
+
+for (const [actionId, { setting, save }] of Object.entries(HOME_SETTINGS)) {
+  app.action(actionId, async ({ ack, body, action, client }) => {
+    await ack();
+    
+    const userId = body.user.id;
+    const value = action.selected_option.value;
+    try {
+      await save(userId, value);
+      await recordAudit(userId, `user:${userId}`, setting, value);
+      await publishHome(client, userId);
+    } catch (error) {
+      console.error(`❌ App Home ${setting} error:`, error);
+    }
+  });
+}
+
 // Add simple HTTP server for Render port binding requirement
 const http = require('http');
 const server = http.createServer((req, res) => {
@@ -1167,61 +5636,90 @@ const server = http.createServer((req, res) => {
   }
 });
 
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`📡 Health server listening on port ${PORT} (for Render)`);
-});
+// Run the bot when started directly; tests require this module for its functions
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  server.listen(PORT, () => {
+    console.log(`📡 Health server listening on port ${PORT} (for Render)`);
+  });
 
-// Keep-alive mechanism for Render free tier (prevents spin-down)
-if (process.env.RENDER) {
-  const RENDER_URL = process.env.RENDER_EXTERNAL_URL || `https://your-app.onrender.com`;
-  
-  setInterval(async () => {
+  // Keep-alive mechanism for Render free tier (prevents spin-down)
+  if (process.env.RENDER) {
+    const RENDER_URL = process.env.RENDER_EXTERNAL_URL || `https://your-app.onrender.com`;
+    
+    setInterval(async () => {
+      try {
+        const https = require('https');
+        const http = require('http');
+        const url = require('url');
+        
+        const parsedUrl = url.parse(`${RENDER_URL}/health`);
+        const client = parsedUrl.protocol === 'https:' ? https : http;
+        
+        const req = client.request(parsedUrl, (res) => {
+          console.log(`🔄 Keep-alive ping: ${res.statusCode}`);
+        });
+        
+        req.on('error', (err) => {
+          console.log(`⚠️  Keep-alive ping failed: ${err.message}`);
+        });
+        
+        req.end();
+      } catch (error) {
+        console.log(`⚠️  Keep-alive error: ${error.message}`);
+      }
+    }, 5 * 60 * 1000); // Every 5 minutes
+    
+    console.log('🔄 Keep-alive mechanism activated for Render deployment');
+  }
+
+  // Start the app
+  (async () => {
+    // Redis connection is already handled above, no need to connect again here
+    if (!redisClient) {
+      console.log('⚠️  Running without Redis - preferences won\'t persist');
+    }
+    
+    await app.init();
+    await app.start();
+    console.log(`⚡️ Slacklator is running with ${translationProvider.label}!`);
+    
+    // Test translation provider connection
     try {
-      const https = require('https');
-      const http = require('http');
-      const url = require('url');
-      
-      const parsedUrl = url.parse(`${RENDER_URL}/health`);
-      const client = parsedUrl.protocol === 'https:' ? https : http;
-      
-      const req = client.request(parsedUrl, (res) => {
-        console.log(`🔄 Keep-alive ping: ${res.statusCode}`);
-      });
-      
-      req.on('error', (err) => {
-        console.log(`⚠️  Keep-alive ping failed: ${err.message}`);
-      });
-      
-      req.end();
+      const usage = await translationProvider.getUsage();
+      console.log(`✅ ${translationProvider.label} connected - ${usage.character.count.toLocaleString()} / ${usage.character.limit.toLocaleString()} characters used`);
     } catch (error) {
-      console.log(`⚠️  Keep-alive error: ${error.message}`);
+      console.error(`❌ ${translationProvider.label} connection error:`, error);
     }
-  }, 5 * 60 * 1000); // Every 5 minutes
-  
-  console.log('🔄 Keep-alive mechanism activated for Render deployment');
+    
+    // Target languages and regional variants the provider offers right now
+    await loadSupportedLanguages();
+    
+    // Watch the provider quota
+    await checkProviderQuota();
+    setInterval(checkProviderQuota, QUOTA_CHECK_INTERVAL_MINUTES * 60 * 1000);
+    
+    // Keep the Redis cache tier within its size limit
+    await trimRedisCache();
+    setInterval(trimRedisCache, CACHE_TRIM_INTERVAL_MINUTES * 60 * 1000);
+    
+    // Replay messages queued during an outage (also triggered when the circuit closes)
+    await processRetryQueue();
+    setInterval(processRetryQueue, 30 * 1000);
+  })();
 }
 
-// Start the app
-(async () => {
-  // Redis connection is already handled above, no need to connect again here
-  if (!redisClient) {
-    console.log('⚠️  Running without Redis - preferences won\'t persist');
-  }
-  
-  await app.start();
-  console.log('⚡️ Slacklator is running with DeepL!');
-  
-  // Test DeepL connection
-  try {
-    const usage = await translator.getUsage();
-    console.log(`✅ DeepL connected - ${usage.character.count.toLocaleString()} / ${usage.character.limit.toLocaleString()} characters used`);
-  } catch (error) {
-    console.error('❌ DeepL connection error:', error);
-  }
-})();
-
 // Error handling
 process.on('unhandledRejection', (error) => {
   console.error('Unhandled promise rejection:', error);
-}); 
\ No newline at end of file
+}); 
+
+module.exports = {
+  protectSlackMarkup,
+  restoreSlackMarkup,
+  translateMessageFiles,
+  translateDocumentFile,
+  getUsageHistory,
+  sumUsage,
+  DOCUMENT_MIN_BILLED_CHARACTERS
+};
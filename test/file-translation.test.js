@@ -0,0 +1,208 @@
+// File translation against a local stand-in for the DeepL API and Slack file downloads
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Shared files, served at /files/<name>
+const FILES = {
+  'notes.txt': 'Quarterly report: revenue grew',
+  'snippet-en': 'The weather is nice today\nWe are going swimming',
+  'snippet-de': 'Das Wetter ist heute sehr schön und wir gehen gemeinsam schwimmen',
+  'snippet-code': 'Run the check when a < b && c, then call `make test` before the release'
+};
+
+const standIn = { translateRequests: 0, documentUploads: 0, documents: [] };
+
+// Enough of DeepL's v2 API for text and document translation: translations come back as "[DE] text"
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    if (req.url.startsWith('/files/')) {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(FILES[req.url.slice('/files/'.length)]);
+      return;
+    }
+    if (req.url === '/v2/translate') {
+      standIn.translateRequests++;
+      const params = new URLSearchParams(body);
+      // Like DeepL, reject markup that isn't well-formed XML
+      if (params.get('tag_handling') === 'xml' &&
+          params.getAll('text').some(text => /&(?!(amp|lt|gt|quot|apos);)|<(?![a-z/])/i.test(text))) {
+        send(400, { message: 'Tag handling parsing failed' });
+        return;
+      }
+      send(200, {
+        translations: params.getAll('text').map(text => ({ detected_source_language: 'EN', text: `[${params.get('target_lang').toUpperCase()}] ${text}` }))
+      });
+      return;
+    }
+    if (req.url === '/v2/document') {
+      standIn.documentUploads++;
+      const target = body.match(/name="target_lang"\r\n\r\n([^\r]+)/)[1];
+      const content = body.match(/filename="[^"]+"\r\nContent-Type: [^\r]+\r\n\r\n([\s\S]*?)\r\n--/)[1];
+      standIn.documents.push({ target: target.toUpperCase(), content });
+      send(200, { document_id: `doc${standIn.documents.length - 1}`, document_key: 'key' });
+      return;
+    }
+
+    const documentMatch = req.url.match(/^\/v2\/document\/doc(\d+)(\/result)?$/);
+    if (documentMatch) {
+      const document = standIn.documents[documentMatch[1]];
+      if (documentMatch[2]) {
+        res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+        res.end(`[${document.target}] ${document.content}`);
+        return;
+      }
+      // DeepL bills at least 50,000 characters per document
+      send(200, { document_id: `doc${documentMatch[1]}`, status: 'done', billed_characters: Math.max(50000, document.content.length) });
+      return;
+    }
+
+    send(404, { message: `Not found: ${req.url}` });
+  });
+});
+
+let slacklator;
+let baseUrl;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Set before loading the app; dotenv never overrides variables that are already set
+  Object.assign(process.env, {
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_APP_TOKEN: 'xapp-test',
+    SLACK_SIGNING_SECRET: 'test',
+    TRANSLATION_PROVIDER: 'deepl',
+    DEEPL_API_KEY: 'test:fx',
+    DEEPL_SERVER_URL: baseUrl,
+    REDIS_URL: '',
+    BUDGET_USER_MONTHLY_CHARS: '60000'
+  });
+  // app.js logs every step; inside the test runner's child process that output would be
+  // interleaved with the runner's own serialized stream, so keep it quiet
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[method] = () => {};
+  }
+  slacklator = require('../app');
+});
+
+after(() => {
+  server.close();
+});
+
+// Records uploads instead of sending them to Slack
+function createClient() {
+  const uploads = [];
+  return {
+    uploads,
+    files: {
+      uploadV2: async (args) => {
+        uploads.push(args);
+        return { ok: true };
+      }
+    }
+  };
+}
+
+function sharedFile(name, extra = {}) {
+  return { name, title: name, size: FILES[name].length, url_private_download: `${baseUrl}/files/${name}`, ...extra };
+}
+
+// Characters recorded for a user today
+async function charactersUsedBy(userId) {
+  const totals = slacklator.sumUsage(await slacklator.getUsageHistory(1));
+  return totals[`user:${userId}:characters`] || 0;
+}
+
+test('a .txt document is translated by the provider and uploaded into the thread', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '100.0', files: [sharedFile('notes.txt')] };
+
+  const results = await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U1' });
+
+  assert.deepEqual(results, [{ name: 'notes.txt', status: 'translated', filename: 'notes.de.txt' }]);
+  assert.equal(client.uploads.length, 1);
+  assert.equal(client.uploads[0].thread_ts, '100.0');
+  assert.equal(client.uploads[0].filename, 'notes.de.txt');
+  assert.equal(client.uploads[0].file.toString('utf8'), '[DE] Quarterly report: revenue grew');
+});
+
+test('documents are billed at the provider minimum of 50,000 characters', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '200.0', files: [sharedFile('notes.txt')] };
+
+  await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U2' });
+
+  assert.equal(await charactersUsedBy('U2'), slacklator.DOCUMENT_MIN_BILLED_CHARACTERS);
+});
+
+test('a document is refused when the minimum charge would exceed the budget', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '300.0', files: [sharedFile('notes.txt')] };
+
+  // The first document uses 50,000 of U3's 60,000 characters
+  await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U3' });
+  const uploadsBefore = standIn.documentUploads;
+  const [result] = await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U3' });
+
+  assert.equal(result.status, 'failed');
+  assert.match(result.reason, /budget/i);
+  assert.equal(standIn.documentUploads, uploadsBefore);
+  assert.equal(client.uploads.length, 1);
+});
+
+test('a snippet is translated as text and uploaded as content', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '400.0', thread_ts: '399.0', files: [sharedFile('snippet-en', { mode: 'snippet', title: 'Plan' })] };
+
+  const results = await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U4' });
+
+  assert.equal(results[0].status, 'translated');
+  assert.equal(client.uploads.length, 1);
+  assert.equal(client.uploads[0].thread_ts, '399.0');
+  assert.equal(client.uploads[0].filename, 'snippet-en.de');
+  assert.equal(client.uploads[0].content, '[DE] The weather is nice today\nWe are going swimming');
+  // Billed by length, not at the document minimum
+  assert.equal(await charactersUsedBy('U4'), FILES['snippet-en'].length);
+});
+
+test('a snippet already in the target language is skipped without a provider call', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '500.0', files: [sharedFile('snippet-de', { mode: 'snippet' })] };
+  const requestsBefore = standIn.translateRequests;
+
+  const results = await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U5' });
+
+  assert.deepEqual(results, [{ name: 'snippet-de', status: 'skipped', reason: 'already in DE' }]);
+  assert.equal(client.uploads.length, 0);
+  assert.equal(standIn.translateRequests, requestsBefore);
+});
+
+test('files that cannot be translated are skipped', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '600.0', files: [{ name: 'photo.png', size: 1000 }] };
+
+  const [result] = await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U6' });
+
+  assert.equal(result.status, 'skipped');
+  assert.equal(client.uploads.length, 0);
+});
+
+test('snippet text with < and & next to a code span is sent as valid XML', async () => {
+  const client = createClient();
+  const message = { channel: 'C1', ts: '700.0', files: [sharedFile('snippet-code', { mode: 'snippet' })] };
+
+  const [result] = await slacklator.translateMessageFiles(client, message, 'de', { userId: 'U7' });
+
+  assert.equal(result.status, 'translated', result.reason);
+  assert.equal(client.uploads[0].content, `[DE] ${FILES['snippet-code']}`);
+});
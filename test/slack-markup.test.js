@@ -0,0 +1,50 @@
+// Slack markup protection: which parts of a message are kept away from the translator
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let slacklator;
+
+before(() => {
+  // Set before loading the app; dotenv never overrides variables that are already set
+  Object.assign(process.env, {
+    SLACK_BOT_TOKEN: 'xoxb-test',
+    SLACK_APP_TOKEN: 'xapp-test',
+    SLACK_SIGNING_SECRET: 'test',
+    TRANSLATION_PROVIDER: 'mock',
+    REDIS_URL: ''
+  });
+
+  // Keep app.js logging out of the test runner's stream
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    console[method] = () => {};
+  }
+  slacklator = require('../app');
+});
+
+// The protected tokens' values, in order
+function protectedTokens(text) {
+  return slacklator.protectSlackMarkup(text).tokens.map(token => token.value || token.url);
+}
+
+test('emoji codes are protected, including numeric and symbol names', () => {
+  assert.deepEqual(protectedTokens(':thumbsup: nice :+1: and :100:'), [':thumbsup:', ':+1:', ':100:']);
+  assert.deepEqual(protectedTokens('done (:tada:) great!:rocket:'), [':tada:', ':rocket:']);
+});
+
+test('an emoji with a skin tone is protected as one token', () => {
+  assert.deepEqual(protectedTokens('hi :wave::skin-tone-2: all'), [':wave::skin-tone-2:']);
+});
+
+test('colons inside prose and times are not mistaken for emoji codes', () => {
+  assert.deepEqual(protectedTokens('meet at 10:30: bring snacks'), []);
+  assert.deepEqual(protectedTokens('set key:value: in the config'), []);
+  assert.deepEqual(protectedTokens('Note:see:this before you start'), []);
+});
+
+test('mentions, links and code spans survive the round trip', () => {
+  const text = 'Hey <@U123>, see <https://example.com|the notes> and run `npm test` :+1:';
+  const { text: protectedText, tokens } = slacklator.protectSlackMarkup(text);
+
+  assert.doesNotMatch(protectedText, /U123|npm test|:\+1:/);
+  assert.equal(slacklator.restoreSlackMarkup(protectedText, tokens), text);
+});